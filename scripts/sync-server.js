@@ -0,0 +1,149 @@
+// A small stand-in for a WebDAV/REST sync server, for trying out the
+// "WebDAV / REST server" sync provider locally:
+//
+//   SYNC_SERVER_TOKEN=secret npm run sync-server
+//
+// Documents live in memory (or in SYNC_SERVER_DIR when set) and are served
+// with ETags; PUT honours If-Match / If-None-Match and DELETE removes a
+// document with its backups. Each overwrite keeps the previous copy as a
+// backup, listed at GET /backups/<name> and served at GET /backups/<name>/<id>.
+import { createHash } from 'node:crypto'
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { join } from 'node:path'
+
+const PORT = Number(process.env.PORT) || 8787
+const TOKEN = process.env.SYNC_SERVER_TOKEN || ''
+const DATA_DIR = process.env.SYNC_SERVER_DIR || ''
+const BACKUP_LIMIT = 20
+
+const documents = new Map()
+
+const loadDocuments = () => {
+  if (!DATA_DIR) return
+  mkdirSync(DATA_DIR, { recursive: true })
+  try {
+    const stored = JSON.parse(readFileSync(join(DATA_DIR, 'documents.json'), 'utf8'))
+    Object.entries(stored).forEach(([name, doc]) => documents.set(name, doc))
+  } catch {
+    // Nothing stored yet.
+  }
+}
+
+const persistDocuments = () => {
+  if (!DATA_DIR) return
+  writeFileSync(
+    join(DATA_DIR, 'documents.json'),
+    JSON.stringify(Object.fromEntries(documents), null, 2),
+  )
+}
+
+const toEtag = (body, modifiedAt) =>
+  `"${createHash('sha1').update(`${modifiedAt}:${body}`).digest('hex').slice(0, 16)}"`
+
+const isAuthorized = (header = '') => {
+  if (!TOKEN) return true
+  if (header === `Bearer ${TOKEN}`) return true
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString()
+    return decoded.slice(decoded.indexOf(':') + 1) === TOKEN
+  }
+  return false
+}
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+
+const send = (res, status, body = '', headers = {}) => {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers,
+  })
+  res.end(body)
+}
+
+const handle = async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204)
+  if (!isAuthorized(req.headers.authorization)) {
+    return send(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="sync"' })
+  }
+
+  const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).slice(1)
+
+  if (req.method === 'GET' && path.startsWith('backups/')) {
+    const [name, id] = path.slice('backups/'.length).split('/')
+    const doc = documents.get(name)
+    if (id) {
+      const backup = doc?.backups.find(entry => entry.id === id)
+      if (!backup) return send(res, 404, 'Not found')
+      return send(res, 200, backup.body, { 'Content-Type': 'application/json' })
+    }
+    const backups = (doc?.backups || []).map(({ id, modifiedAt, body }) => ({
+      id,
+      modifiedAt,
+      size: Buffer.byteLength(body),
+    }))
+    return send(res, 200, JSON.stringify(backups), { 'Content-Type': 'application/json' })
+  }
+
+  if (!path || path.includes('/')) return send(res, 404, 'Not found')
+  const doc = documents.get(path)
+
+  if (req.method === 'GET') {
+    if (!doc) return send(res, 404, 'Not found')
+    return send(res, 200, doc.body, { 'Content-Type': 'application/json', ETag: doc.etag })
+  }
+
+  if (req.method === 'PUT') {
+    const ifMatch = req.headers['if-match']
+    const ifNoneMatch = req.headers['if-none-match']
+    if ((ifMatch && ifMatch !== doc?.etag) || (ifNoneMatch === '*' && doc)) {
+      return send(res, 412, 'Precondition failed')
+    }
+
+    const body = await readBody(req)
+    try {
+      JSON.parse(body)
+    } catch {
+      return send(res, 400, 'Body must be JSON')
+    }
+
+    const modifiedAt = Date.now()
+    const backups = doc
+      ? [{ id: doc.etag.replaceAll('"', ''), modifiedAt: doc.modifiedAt, body: doc.body }, ...doc.backups]
+      : []
+    const next = {
+      body,
+      modifiedAt,
+      etag: toEtag(body, modifiedAt),
+      backups: backups.slice(0, BACKUP_LIMIT),
+    }
+    documents.set(path, next)
+    persistDocuments()
+    return send(res, doc ? 200 : 201, '', { ETag: next.etag })
+  }
+
+  if (req.method === 'DELETE') {
+    if (!doc) return send(res, 404, 'Not found')
+    documents.delete(path)
+    persistDocuments()
+    return send(res, 204)
+  }
+
+  return send(res, 405, 'Method not allowed')
+}
+
+loadDocuments()
+createServer((req, res) => {
+  handle(req, res).catch((error) => send(res, 500, String(error?.message || error)))
+}).listen(PORT, () => {
+  console.log(`Sync stand-in server listening on http://localhost:${PORT}`)
+})
@@ -18,73 +18,261 @@ import {
 
 import { CSS } from "@dnd-kit/utilities"
 
+import AnalyticsDialog from "./components/AnalyticsDialog.jsx"
+import ArchiveDialog from "./components/ArchiveDialog.jsx"
+import BoardsDialog from "./components/BoardsDialog.jsx"
+import CommandPalette from "./components/CommandPalette.jsx"
+import ConflictDialog from "./components/ConflictDialog.jsx"
+import DelegationEditor from "./components/DelegationEditor.jsx"
+import EscalationPanel from "./components/EscalationPanel.jsx"
+import FilterBar from "./components/FilterBar.jsx"
+import GuestMergeDialog from "./components/GuestMergeDialog.jsx"
+import HistoryDialog from "./components/HistoryDialog.jsx"
+import Markdown from "./components/Markdown.jsx"
+import QuickAddBar from "./components/QuickAddBar.jsx"
+import QuickAddPreview from "./components/QuickAddPreview.jsx"
+import RecurrenceEditor from "./components/RecurrenceEditor.jsx"
+import ReviewDialog from "./components/ReviewDialog.jsx"
+import ScatterView from "./components/ScatterView.jsx"
+import SubtaskList from "./components/SubtaskList.jsx"
+import TagEditor from "./components/TagEditor.jsx"
+import SyncSettingsDialog from "./components/SyncSettingsDialog.jsx"
+import TransferDialog from "./components/TransferDialog.jsx"
+import WaitingOnView from "./components/WaitingOnView.jsx"
+import {
+  archiveCompleted,
+  isArchived,
+  normalizePurgeAfterDays,
+  restoreArchivedTask,
+} from "./lib/archive.js"
+import { MOVE_LOG_LIMIT, createMoveEvent } from "./lib/analytics.js"
+import {
+  loadBoard,
+  loadBoardList,
+  loadBoardListSyncBase,
+  loadLastSyncedAt,
+  loadMoveLog,
+  loadSyncBase,
+  removeBoardData,
+  saveBoardList,
+  saveBoardListSyncBase,
+  saveLastSyncedAt,
+  saveMoveLog,
+  saveSyncBase,
+  saveTasks,
+  saveTombstones,
+} from "./lib/boardStore.js"
+import {
+  BOARDS_DOCUMENT,
+  BOARDS_SYNC_NAME,
+  DEFAULT_BOARD_ID,
+  createBoard,
+  ensureBoards,
+  getActiveBoards,
+  getBoardSyncName,
+  moveBoard,
+  normalizeBoards,
+  resolveActiveBoardId,
+  toBoardsSignature,
+  updateBoard,
+} from "./lib/boards.js"
+import { addConflicts, resolveConflict } from "./lib/conflicts.js"
+import { TAB_ID, electLeader, openTabChannel } from "./lib/crossTab.js"
+import { formatDue, getDueStatus, joinDue, splitDue } from "./lib/dates.js"
+import { getAllAssignees, getFollowUpStatus } from "./lib/delegation.js"
+import {
+  PROMOTION_LOG_LIMIT,
+  createPromotion,
+  findEscalations,
+  normalizeEscalationSettings,
+  normalizePromotions,
+} from "./lib/escalation.js"
+import {
+  applyChanges,
+  combineChanges,
+  completeHistoryEntry,
+  diffTasks,
+  pushHistoryEntry,
+  restoreSnapshot,
+} from "./lib/history.js"
+import { mergeTasks } from "./lib/merge.js"
+import { TASKS_DOCUMENT } from "./lib/payload.js"
+import { parseQuickAdd } from "./lib/quickAdd.js"
+import { completeOccurrences, describeRecurrence } from "./lib/recurrence.js"
+import { applyReviewAction, normalizeReviewStaleDays } from "./lib/review.js"
+import {
+  QUADRANTS,
+  QUADRANT_DEFAULT_SCORES,
+  applySubtasks,
+  setTaskCompleted,
+  compareTasks,
+  generateId,
+  getPriorityScore,
+  getSubtaskProgress,
+  moveTaskToQuadrant,
+  normalizeTask,
+  normalizeTasks,
+  quadrantFromScores,
+  setTaskScores,
+  toSignature,
+} from "./lib/tasks.js"
+import {
+  filtersFromSearch,
+  filtersToSearch,
+  isFiltering,
+  matchesFilters,
+} from "./lib/filters.js"
+import {
+  GUEST_USER,
+  clearGuestProfile,
+  isGuest,
+  loadGuestProfile,
+  mergeIntoStoredBoard,
+} from "./lib/guest.js"
+import { uploadStoredBoard } from "./lib/pendingUploads.js"
+import { reconcileDocument } from "./lib/syncDocument.js"
+import {
+  SyncAuthError,
+  createSyncProvider,
+  normalizeSyncSettings,
+  toStoredSyncSettings,
+} from "./lib/syncProviders/index.js"
+import { countPendingChanges, createSyncQueue, formatLastSynced } from "./lib/syncQueue.js"
+import { takeSnapshots } from "./lib/snapshots.js"
+import { getAllTags } from "./lib/tags.js"
+import { EXPORT_FORMATS, applyImport, downloadFile, exportBoard } from "./lib/transfer.js"
+import {
+  addTombstones,
+  applyTombstones,
+  mergeTombstones,
+} from "./lib/tombstones.js"
+
 const USER_KEY = "eisenhower_google_user_v1"
-const TASKS_STORAGE_PREFIX = "eisenhower_tasks_v2"
 const TOKEN_STORAGE_PREFIX = "eisenhower_drive_token_v1"
+const SETTINGS_STORAGE_PREFIX = "eisenhower_settings_v1"
+const SYNC_PASSWORD_STORAGE_PREFIX = "eisenhower_sync_password_v1"
+const PROMOTIONS_STORAGE_PREFIX = "eisenhower_promotions_v1"
+const GUEST_MERGE_STORAGE_PREFIX = "eisenhower_guest_merge_v1"
 
 const GOOGLE_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID
 const DRIVE_SCOPE = "https://www.googleapis.com/auth/drive.appdata"
-const DRIVE_FILES_API = "https://www.googleapis.com/drive/v3/files"
-const DRIVE_UPLOAD_API = "https://www.googleapis.com/upload/drive/v3/files"
-const SYNC_FILE_NAME = "eisenhower-tasks.json"
-
-const QUADRANTS = [
-  { id: "UI", title: "Urgent & Important", subtitle: "Do first" },
-  { id: "NI", title: "Not Urgent & Important", subtitle: "Schedule" },
-  { id: "UN", title: "Urgent & Not Important", subtitle: "Delegate" },
-  { id: "NN", title: "Not Urgent & Not Important", subtitle: "Eliminate" },
-]
+const TOAST_DURATION_MS = 5000
+const CLOCK_TICK_MS = 60_000
 
-const VALID_QUADRANTS = new Set(QUADRANTS.map(q => q.id))
+const getUserTokenStorageKey = (email) =>
+  `${TOKEN_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
 
-const generateId = () => {
-  if (typeof crypto !== "undefined" && crypto.randomUUID) {
-    return crypto.randomUUID()
+const getUserSettingsStorageKey = (email) =>
+  `${SETTINGS_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+
+const getUserSyncPasswordStorageKey = (email) =>
+  `${SYNC_PASSWORD_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+
+const getUserPromotionsStorageKey = (email) =>
+  `${PROMOTIONS_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+
+const getUserGuestMergeStorageKey = (email) =>
+  `${GUEST_MERGE_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+
+const VIEWS = ["matrix", "plot", "waiting"]
+const VIEW_LABELS = { matrix: "Matrix", plot: "Plot", waiting: "Waiting on" }
+const SORT_MODES = ["manual", "score"]
+
+const normalizeSettings = (raw) => ({
+  escalation: normalizeEscalationSettings(raw?.escalation),
+  view: VIEWS.includes(raw?.view) ? raw.view : "matrix",
+  sortMode: SORT_MODES.includes(raw?.sortMode) ? raw.sortMode : "manual",
+  completeParentWithSubtasks:
+    typeof raw?.completeParentWithSubtasks === "boolean"
+      ? raw.completeParentWithSubtasks
+      : true,
+  sync: normalizeSyncSettings(raw?.sync),
+  purgeAfterDays: normalizePurgeAfterDays(raw?.purgeAfterDays),
+  reviewStaleDays: normalizeReviewStaleDays(raw?.reviewStaleDays),
+  activeBoardId:
+    typeof raw?.activeBoardId === "string" && raw.activeBoardId
+      ? raw.activeBoardId
+      : DEFAULT_BOARD_ID,
+})
+
+const readStoredJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : fallback
+  } catch {
+    return fallback
   }
-  return `task_${Date.now()}_${Math.random().toString(16).slice(2)}`
 }
 
-const getUserTasksStorageKey = (email) =>
-  `${TASKS_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+// A sync server password the user didn't ask to remember stays in
+// sessionStorage, which the browser clears when the tab closes.
+const loadSettings = (email) => {
+  const settings = normalizeSettings(readStoredJson(getUserSettingsStorageKey(email)))
+  const { rest } = settings.sync
+  if (rest.remember) return settings
 
-const getUserTokenStorageKey = (email) =>
-  `${TOKEN_STORAGE_PREFIX}:${(email || "").toLowerCase()}`
+  const password = sessionStorage.getItem(getUserSyncPasswordStorageKey(email)) || ""
+  return { ...settings, sync: { ...settings.sync, rest: { ...rest, password } } }
+}
 
-const normalizeTask = (task, fallbackOrder = 0) => {
-  const safeQuadrant = VALID_QUADRANTS.has(task?.quadrant) ? task.quadrant : "UI"
-  return {
-    id: task?.id || generateId(),
-    title: typeof task?.title === "string" ? task.title : "",
-    quadrant: safeQuadrant,
-    completed: Boolean(task?.completed),
-    order: Number.isFinite(task?.order) ? task.order : fallbackOrder,
-    updatedAt: Number.isFinite(task?.updatedAt) ? task.updatedAt : 0,
+const saveSettings = (email, settings) => {
+  const { rest } = settings.sync
+  const passwordKey = getUserSyncPasswordStorageKey(email)
+  if (rest.remember || !rest.password) {
+    sessionStorage.removeItem(passwordKey)
+  } else {
+    sessionStorage.setItem(passwordKey, rest.password)
   }
-}
 
-const normalizeTasks = (rawTasks) => {
-  if (!Array.isArray(rawTasks)) return []
-  return rawTasks.map((task, index) => normalizeTask(task, index))
+  localStorage.setItem(
+    getUserSettingsStorageKey(email),
+    JSON.stringify({ ...settings, sync: toStoredSyncSettings(settings.sync) })
+  )
 }
 
-const getLatestUpdate = (taskList) => {
-  if (!taskList.length) return 0
-  return taskList.reduce((max, task) => Math.max(max, task.updatedAt || 0), 0)
+const getTaskElements = () => [...document.querySelectorAll("[data-task-id]")]
+
+const focusTaskElement = (id) => {
+  requestAnimationFrame(() => {
+    const element = getTaskElements().find(el => el.dataset.taskId === id)
+    if (!element) return
+    element.focus()
+    element.scrollIntoView({ block: "nearest" })
+  })
 }
 
-const toSignature = (taskList) =>
-  JSON.stringify(
-    [...taskList]
-      .map(task => normalizeTask(task))
-      .sort((a, b) => {
-        if (a.quadrant !== b.quadrant) return a.quadrant.localeCompare(b.quadrant)
-        if (a.order !== b.order) return a.order - b.order
-        return a.id.localeCompare(b.id)
-      })
-  )
+const getAdjacentTaskId = (element, delta) => {
+  const elements = getTaskElements()
+  const index = elements.indexOf(element)
+  return elements[index + delta]?.dataset.taskId || null
+}
 
 export default function App() {
   const [tasks, setTasks] = useState([])
+  const [tombstones, setTombstones] = useState([])
+  const [moveEvents, setMoveEvents] = useState([])
+  const [boards, setBoards] = useState([])
+  const [boardTombstones, setBoardTombstones] = useState([])
+  const [loadedBoardsEmail, setLoadedBoardsEmail] = useState("")
+  const [loadedBoardKey, setLoadedBoardKey] = useState("")
+  const [storageError, setStorageError] = useState("")
+  const [history, setHistory] = useState({ past: [], future: [] })
+  const [toast, setToast] = useState(null)
+  const [settings, setSettings] = useState(() => normalizeSettings())
+  const [promotions, setPromotions] = useState([])
+  const [showEscalationPanel, setShowEscalationPanel] = useState(false)
+  const [showTransferDialog, setShowTransferDialog] = useState(false)
+  const [showSyncSettings, setShowSyncSettings] = useState(false)
+  const [showBoardsDialog, setShowBoardsDialog] = useState(false)
+  const [showArchive, setShowArchive] = useState(false)
+  const [showAnalytics, setShowAnalytics] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+  const [guestProfile, setGuestProfile] = useState(null)
+  // What the weekly review in progress has changed, or null outside one.
+  const [reviewChanges, setReviewChanges] = useState(null)
+  const [filters, setFilters] = useState(() => filtersFromSearch(window.location.search))
+  const [showCommandPalette, setShowCommandPalette] = useState(false)
+  const [now, setNow] = useState(() => Date.now())
   const [user, setUser] = useState(() => {
     try {
       const stored = localStorage.getItem(USER_KEY)
@@ -97,29 +285,78 @@ export default function App() {
   const googleButtonRef = useRef(null)
   const tokenClientRef = useRef(null)
   const tokenRequestRef = useRef(null)
-  const syncTimerRef = useRef(null)
-  const fileIdRef = useRef(null)
-  const syncingRef = useRef(false)
+  const ensureAccessTokenRef = useRef(async () => null)
+  const syncRunRef = useRef(null)
+  const syncQueueRef = useRef(null)
+  const runSyncRef = useRef(async () => {})
+  const latestSyncStateRef = useRef({ tasks: [], tombstones: [], boards: [], boardTombstones: [] })
   const syncInitializedRef = useRef(false)
   const lastSyncedSignatureRef = useRef(toSignature([]))
+  const lastSyncedBoardsSignatureRef = useRef(toBoardsSignature([]))
+  const currentBoardKeyRef = useRef("")
+  const tabChannelRef = useRef(null)
+  const handleTabMessageRef = useRef(() => {})
+  // What this tab last sent to or received from the other tabs, used as the
+  // merge base for their changes and to avoid echoing them back.
+  const sharedBoardRef = useRef({ signature: toSignature([]), tasks: [] })
+  const sharedBoardsRef = useRef({ signature: toBoardsSignature([]), boards: [] })
+  const sharedConflictsRef = useRef("[]")
 
   const [googleReady, setGoogleReady] = useState(false)
   const [accessToken, setAccessToken] = useState(null)
   const [tokenExpiry, setTokenExpiry] = useState(0)
   const [syncStatus, setSyncStatus] = useState("idle")
   const [syncError, setSyncError] = useState("")
+  const [isSyncLeader, setIsSyncLeader] = useState(false)
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false)
+  const [syncBase, setSyncBase] = useState([])
+  const [lastSyncedAt, setLastSyncedAt] = useState(0)
+  const [sharedPendingCount, setSharedPendingCount] = useState(0)
+  const [syncConflicts, setSyncConflicts] = useState([])
+  const [showConflicts, setShowConflicts] = useState(false)
 
   const userEmail = user?.email || ""
+  const guest = isGuest(user)
+  const boardsLoaded = Boolean(userEmail) && loadedBoardsEmail === userEmail
+  const activeBoardId = resolveActiveBoardId(boards, settings.activeBoardId)
+  const boardKey = `${userEmail}:${activeBoardId}`
   const hasClientId = Boolean(GOOGLE_CLIENT_ID)
 
+  const reviewing = reviewChanges !== null
+  const boardTasks = useMemo(() => tasks.filter(task => !isArchived(task)), [tasks])
+  const archivedTasks = useMemo(() => tasks.filter(isArchived), [tasks])
+
   const sortedTasks = useMemo(
     () =>
-      [...tasks].sort((a, b) => {
-        if (a.quadrant !== b.quadrant) return a.quadrant.localeCompare(b.quadrant)
-        if (a.order !== b.order) return a.order - b.order
-        return a.id.localeCompare(b.id)
+      [...boardTasks].sort((a, b) => {
+        if (settings.sortMode === "score" && a.quadrant === b.quadrant) {
+          const scoreDiff = getPriorityScore(b) - getPriorityScore(a)
+          if (scoreDiff) return scoreDiff
+        }
+        return compareTasks(a, b)
       }),
-    [tasks]
+    [boardTasks, settings.sortMode]
+  )
+
+  const filtering = isFiltering(filters)
+
+  const visibleTasks = useMemo(
+    () => (filtering ? sortedTasks.filter(task => matchesFilters(task, filters, now)) : sortedTasks),
+    [sortedTasks, filtering, filters, now]
+  )
+
+  const allTags = useMemo(() => getAllTags(boardTasks), [boardTasks])
+  const localPendingCount = useMemo(() => countPendingChanges(syncBase, tasks), [syncBase, tasks])
+  // Only the leading tab knows what it has synced; the others show its count.
+  const pendingCount = isSyncLeader ? localPendingCount : sharedPendingCount
+  const allAssignees = useMemo(() => getAllAssignees(boardTasks), [boardTasks])
+
+  const escalations = useMemo(
+    () =>
+      settings.escalation.mode === "off"
+        ? []
+        : findEscalations(tasks, settings.escalation.thresholdDays, now),
+    [tasks, settings.escalation, now]
   )
 
   useEffect(() => {
@@ -131,31 +368,81 @@ export default function App() {
   }, [user])
 
   useEffect(() => {
+    setLoadedBoardsEmail("")
+    syncInitializedRef.current = false
+
     if (!userEmail) {
       setTasks([])
+      setTombstones([])
+      setBoards([])
+      setBoardTombstones([])
       setAccessToken(null)
       setTokenExpiry(0)
       lastSyncedSignatureRef.current = toSignature([])
-      syncInitializedRef.current = false
-      fileIdRef.current = null
+      lastSyncedBoardsSignatureRef.current = toBoardsSignature([])
       return
     }
 
-    try {
-      const key = getUserTasksStorageKey(userEmail)
-      const stored = localStorage.getItem(key)
-      const parsed = stored ? JSON.parse(stored) : []
-      const normalized = normalizeTasks(parsed)
-      setTasks(normalized)
-      lastSyncedSignatureRef.current = toSignature(normalized)
-    } catch {
-      setTasks([])
-      lastSyncedSignatureRef.current = toSignature([])
+    let cancelled = false
+
+    loadBoardList(userEmail)
+      .catch(() => ({ boards: [], tombstones: [] }))
+      .then(list => {
+        if (cancelled) return
+        setBoards(ensureBoards(list.boards))
+        setBoardTombstones(list.tombstones)
+        lastSyncedBoardsSignatureRef.current = toBoardsSignature(list.boards, list.tombstones)
+        sharedBoardsRef.current = {
+          signature: toBoardsSignature(ensureBoards(list.boards), list.tombstones),
+          boards: ensureBoards(list.boards),
+        }
+        setLoadedBoardsEmail(userEmail)
+      })
+
+    return () => {
+      cancelled = true
     }
+  }, [userEmail])
 
+  useEffect(() => {
+    currentBoardKeyRef.current = boardKey
+    setHistory({ past: [], future: [] })
+    setToast(null)
+    setReviewChanges(null)
+    setSyncConflicts([])
+    sharedConflictsRef.current = "[]"
+    setLoadedBoardKey("")
     syncInitializedRef.current = false
-    fileIdRef.current = null
-  }, [userEmail])
+
+    if (!boardsLoaded) return
+
+    let cancelled = false
+
+    Promise.all([
+      loadBoard(userEmail, activeBoardId).catch(() => ({ tasks: [], tombstones: [] })),
+      loadMoveLog(userEmail, activeBoardId).catch(() => []),
+      loadSyncBase(userEmail, activeBoardId).catch(() => []),
+      loadLastSyncedAt(userEmail, activeBoardId).catch(() => 0),
+    ])
+      .then(([board, events, base, syncedAt]) => {
+        if (cancelled) return
+        setTasks(board.tasks)
+        setTombstones(board.tombstones)
+        setMoveEvents(events)
+        setSyncBase(base)
+        setLastSyncedAt(syncedAt)
+        lastSyncedSignatureRef.current = toSignature(board.tasks, board.tombstones)
+        sharedBoardRef.current = {
+          signature: toSignature(board.tasks, board.tombstones),
+          tasks: board.tasks,
+        }
+        setLoadedBoardKey(boardKey)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [userEmail, activeBoardId, boardKey, boardsLoaded])
 
   useEffect(() => {
     if (!userEmail) return
@@ -199,11 +486,92 @@ export default function App() {
     }
   }, [accessToken, tokenExpiry, userEmail])
 
+  const isBoardLoaded = boardsLoaded && loadedBoardKey === boardKey
+
+  useEffect(() => {
+    if (!isBoardLoaded) return
+    saveTasks(userEmail, activeBoardId, tasks)
+      .then(() => setStorageError(""))
+      .catch(() => setStorageError("Couldn't save tasks on this device."))
+  }, [tasks, userEmail, activeBoardId, isBoardLoaded])
+
+  useEffect(() => {
+    if (!isBoardLoaded) return
+    saveTombstones(userEmail, activeBoardId, tombstones).catch(() =>
+      setStorageError("Couldn't save tasks on this device.")
+    )
+  }, [tombstones, userEmail, activeBoardId, isBoardLoaded])
+
+  useEffect(() => {
+    if (!isBoardLoaded) return
+    saveMoveLog(userEmail, activeBoardId, moveEvents).catch(() => {})
+  }, [moveEvents, userEmail, activeBoardId, isBoardLoaded])
+
+  const logMoves = (events) =>
+    setMoveEvents(prev => [...prev, ...events].slice(-MOVE_LOG_LIMIT))
+
+  useEffect(() => {
+    if (!boardsLoaded) return
+    saveBoardList(userEmail, boards, boardTombstones).catch(() =>
+      setStorageError("Couldn't save boards on this device.")
+    )
+  }, [boards, boardTombstones, userEmail, boardsLoaded])
+
+  useEffect(() => {
+    if (!userEmail) return
+    setSettings(loadSettings(userEmail))
+    setPromotions(normalizePromotions(readStoredJson(getUserPromotionsStorageKey(userEmail))))
+  }, [userEmail])
+
+  useEffect(() => {
+    if (!userEmail) return
+    saveSettings(userEmail, settings)
+  }, [settings, userEmail])
+
   useEffect(() => {
     if (!userEmail) return
-    const key = getUserTasksStorageKey(userEmail)
-    localStorage.setItem(key, JSON.stringify(tasks))
-  }, [tasks, userEmail])
+    localStorage.setItem(getUserPromotionsStorageKey(userEmail), JSON.stringify(promotions))
+  }, [promotions, userEmail])
+
+  // Tasks added before signing in are offered to the account, unless the user
+  // already declined and the guest profile hasn't changed since.
+  useEffect(() => {
+    if (guest || !isBoardLoaded) return
+    let cancelled = false
+
+    loadGuestProfile()
+      .then(profile => {
+        if (cancelled || !profile.taskCount) return
+        const declinedAt = Number(readStoredJson(getUserGuestMergeStorageKey(userEmail), 0)) || 0
+        if (profile.updatedAt > declinedAt) setGuestProfile(profile)
+      })
+      .catch(() => {})
+
+    return () => {
+      cancelled = true
+    }
+  }, [guest, isBoardLoaded, userEmail])
+
+  useEffect(() => {
+    const search = filtersToSearch(filters, window.location.search)
+    if (search === window.location.search) return
+    window.history.replaceState(
+      window.history.state,
+      "",
+      `${window.location.pathname}${search}${window.location.hash}`
+    )
+  }, [filters])
+
+  useEffect(() => {
+    const handlePopState = () => setFilters(filtersFromSearch(window.location.search))
+    window.addEventListener("popstate", handlePopState)
+    return () => window.removeEventListener("popstate", handlePopState)
+  }, [])
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS)
+    return () => clearInterval(timer)
+  }, [])
 
   const renderGoogleButton = useCallback(() => {
     if (!window.google?.accounts?.id) return
@@ -304,10 +672,10 @@ export default function App() {
     return promise
   }, [])
 
-  const ensureAccessToken = useCallback(async ({ interactive } = {}) => {
+  const ensureAccessToken = useCallback(async ({ interactive, forceRefresh } = {}) => {
     const isValid =
       accessToken && tokenExpiry && Date.now() < tokenExpiry - 60_000
-    if (isValid) return accessToken
+    if (isValid && !forceRefresh) return accessToken
     if (!tokenClientRef.current) return null
 
     try {
@@ -317,141 +685,201 @@ export default function App() {
     }
   }, [accessToken, tokenExpiry, requestAccessToken])
 
-  const driveFetch = useCallback(async (url, { method = "GET", token, body, headers } = {}) => {
-    const response = await fetch(url, {
-      method,
-      headers: {
-        Authorization: `Bearer ${token}`,
-        ...(headers || {}),
-      },
-      body,
-    })
-
-    if (response.status === 204) return null
-    if (!response.ok) {
-      const text = await response.text()
-      throw new Error(text || `Drive API error: ${response.status}`)
-    }
-
-    const contentType = response.headers.get("content-type") || ""
-    if (contentType.includes("application/json")) {
-      return response.json()
-    }
-    return response.text()
-  }, [])
+  useEffect(() => {
+    ensureAccessTokenRef.current = ensureAccessToken
+  }, [ensureAccessToken])
 
-  const findRemoteFileId = useCallback(async (token) => {
-    if (fileIdRef.current) return fileIdRef.current
+  const syncProvider = useMemo(
+    () =>
+      createSyncProvider(settings.sync, {
+        getGoogleAccessToken: options => ensureAccessTokenRef.current(options),
+      }),
+    [settings.sync]
+  )
 
-    const query = encodeURIComponent(
-      `name='${SYNC_FILE_NAME}' and 'appDataFolder' in parents and trashed=false`
+  const needsSyncPassword =
+    settings.sync.provider === "rest" &&
+    Boolean(settings.sync.rest.url) &&
+    !settings.sync.rest.remember &&
+    !settings.sync.rest.password
+
+  const syncAvailable =
+    settings.sync.provider === "drive"
+      ? hasClientId && googleReady && !guest
+      : Boolean(settings.sync.rest.url)
+
+  const reconcileWithCloud = useCallback(async (localTasks, localTombstones) => {
+    const {
+      records: merged,
+      tombstones: mergedTombstones,
+      conflicts,
+    } = await reconcileDocument(
+      syncProvider,
+      getBoardSyncName(activeBoardId),
+      TASKS_DOCUMENT,
+      {
+        base: await loadSyncBase(userEmail, activeBoardId),
+        records: localTasks,
+        tombstones: localTombstones,
+      }
     )
-    const url = `${DRIVE_FILES_API}?spaces=appDataFolder&fields=files(id)&pageSize=1&q=${query}`
-    const data = await driveFetch(url, { token })
-    const id = data?.files?.[0]?.id || null
-    fileIdRef.current = id
-    return id
-  }, [driveFetch])
-
-  const readRemoteTasks = useCallback(async (token) => {
-    const id = await findRemoteFileId(token)
-    if (!id) return { exists: false, tasks: [] }
-
-    const data = await driveFetch(`${DRIVE_FILES_API}/${id}?alt=media`, { token })
-    return {
-      exists: true,
-      tasks: normalizeTasks(data?.tasks),
-    }
-  }, [findRemoteFileId, driveFetch])
-
-  const writeRemoteTasks = useCallback(async (token, taskList) => {
-    const payload = {
-      version: 1,
-      updatedAt: Date.now(),
-      tasks: normalizeTasks(taskList),
-    }
-
-    const existingId = await findRemoteFileId(token)
-
-    if (existingId) {
-      await driveFetch(`${DRIVE_UPLOAD_API}/${existingId}?uploadType=media`, {
-        method: "PATCH",
-        token,
-        body: JSON.stringify(payload),
-        headers: {
-          "Content-Type": "application/json",
-        },
-      })
-      return
-    }
-
-    const boundary = `batch_${Math.random().toString(16).slice(2)}`
-    const metadata = {
-      name: SYNC_FILE_NAME,
-      parents: ["appDataFolder"],
-      mimeType: "application/json",
+    await saveSyncBase(userEmail, activeBoardId, merged)
+    // Snapshots are a safety net; failing to take one shouldn't fail the sync.
+    await takeSnapshots(
+      syncProvider,
+      getBoardSyncName(activeBoardId),
+      TASKS_DOCUMENT.serialize(merged, mergedTombstones),
+      { count: merged.length }
+    ).catch(() => {})
+
+    // The user may have switched boards while this one was syncing.
+    if (currentBoardKeyRef.current !== boardKey) return
+
+    const mergedSig = toSignature(merged, mergedTombstones)
+    lastSyncedSignatureRef.current = mergedSig
+    setSyncBase(merged)
+    if (conflicts.length) setSyncConflicts(current => addConflicts(current, conflicts))
+
+    if (mergedSig !== toSignature(localTasks, localTombstones)) {
+      const localTasksSig = toSignature(localTasks)
+      setTasks(current =>
+        toSignature(current) === localTasksSig
+          ? merged
+          : applyTombstones(
+            normalizeTasks(mergeTasks(localTasks, current, merged).tasks),
+            mergedTombstones
+          ).tasks
+      )
+      setTombstones(current =>
+        applyTombstones(merged, mergeTombstones(current, mergedTombstones)).tombstones
+      )
     }
-
-    const body = [
-      `--${boundary}`,
-      "Content-Type: application/json; charset=UTF-8",
-      "",
-      JSON.stringify(metadata),
-      `--${boundary}`,
-      "Content-Type: application/json; charset=UTF-8",
-      "",
-      JSON.stringify(payload),
-      `--${boundary}--`,
-      "",
-    ].join("\r\n")
-
-    const created = await driveFetch(
-      `${DRIVE_UPLOAD_API}?uploadType=multipart&fields=id`,
+  }, [userEmail, activeBoardId, boardKey, syncProvider])
+
+  const reconcileBoardsWithCloud = useCallback(async (localBoards, localTombstones) => {
+    const base = await loadBoardListSyncBase(userEmail)
+    const { records: merged, tombstones: mergedTombstones } = await reconcileDocument(
+      syncProvider,
+      BOARDS_SYNC_NAME,
+      BOARDS_DOCUMENT,
       {
-        method: "POST",
-        token,
-        body,
-        headers: {
-          "Content-Type": `multipart/related; boundary=${boundary}`,
-        },
+        base,
+        records: localBoards,
+        tombstones: localTombstones,
       }
     )
 
-    if (created?.id) {
-      fileIdRef.current = created.id
+    // Boards that were synced before and are deleted now lose their cloud
+    // copy too; before the base moves on, so a failure is retried.
+    const remaining = new Set(merged.map(board => board.id))
+    const syncedBefore = new Set(base.map(board => board.id))
+    const deletedIds = mergedTombstones
+      .map(entry => entry.id)
+      .filter(id => !remaining.has(id))
+    await Promise.all(
+      deletedIds
+        .filter(id => syncedBefore.has(id))
+        .map(id => syncProvider.remove(getBoardSyncName(id)))
+    )
+    await saveBoardListSyncBase(userEmail, merged)
+
+    const mergedSig = toBoardsSignature(merged, mergedTombstones)
+    lastSyncedBoardsSignatureRef.current = mergedSig
+
+    if (mergedSig !== toBoardsSignature(localBoards, localTombstones)) {
+      const localBoardsSig = toBoardsSignature(localBoards)
+      setBoards(current =>
+        ensureBoards(
+          toBoardsSignature(current) === localBoardsSig
+            ? merged
+            : applyTombstones(
+              normalizeBoards(mergeTasks(localBoards, current, merged).tasks),
+              mergedTombstones
+            ).tasks
+        )
+      )
+      setBoardTombstones(current =>
+        applyTombstones(merged, mergeTombstones(current, mergedTombstones)).tombstones
+      )
     }
-  }, [findRemoteFileId, driveFetch])
 
-  const pushTasksToCloud = useCallback(async (nextTasks) => {
-    if (syncingRef.current) return
+    await Promise.all(deletedIds.map(id => removeBoardData(userEmail, id)))
+  }, [userEmail, syncProvider])
+
+  const syncOnce = useCallback(async () => {
+    const authorized = await syncProvider.authorize({ interactive: false }).catch(() => false)
+    if (!authorized) throw new SyncAuthError()
 
-    syncingRef.current = true
     setSyncStatus("syncing")
+    const latest = latestSyncStateRef.current
+    const boardsChanged =
+      toBoardsSignature(latest.boards, latest.boardTombstones) !==
+      lastSyncedBoardsSignatureRef.current
+    if (!syncInitializedRef.current || boardsChanged) {
+      await reconcileBoardsWithCloud(latest.boards, latest.boardTombstones)
+    }
+    await reconcileWithCloud(latest.tasks, latest.tombstones)
+
+    const syncedAt = Date.now()
+    await saveLastSyncedAt(userEmail, activeBoardId, syncedAt)
+    if (currentBoardKeyRef.current !== boardKey) return
+
+    syncInitializedRef.current = true
+    setLastSyncedAt(syncedAt)
+    setSyncStatus("ready")
     setSyncError("")
+  }, [
+    userEmail,
+    activeBoardId,
+    boardKey,
+    syncProvider,
+    reconcileWithCloud,
+    reconcileBoardsWithCloud,
+  ])
 
+  // Remembers the run in flight so changing the sync settings can wait for it.
+  const runSync = useCallback(async () => {
+    const run = syncOnce()
+    syncRunRef.current = run
     try {
-      const token = await ensureAccessToken({ interactive: false })
-      if (!token) throw new Error("No token")
-
-      await writeRemoteTasks(token, nextTasks)
-      lastSyncedSignatureRef.current = toSignature(nextTasks)
-      setSyncStatus("ready")
-    } catch {
-      setSyncStatus("error")
-      setSyncError("Changes saved locally. Cloud sync will retry.")
+      await run
     } finally {
-      syncingRef.current = false
+      if (syncRunRef.current === run) syncRunRef.current = null
+    }
+  }, [syncOnce])
+
+  const handleSyncError = useCallback((error, { delay, online }) => {
+    // Drive sync that was never authorized on this device stays quietly
+    // local-only. A sync server the user set up says why it turned them away.
+    if (
+      error instanceof SyncAuthError &&
+      !syncInitializedRef.current &&
+      syncProvider.id === "drive"
+    ) {
+      setSyncStatus("idle")
+      setSyncError("")
+      return
+    }
+
+    setSyncStatus("error")
+    if (delay === null) {
+      setSyncError(error.message)
+    } else if (!online) {
+      setSyncError("You're offline. Changes are saved on this device and will sync when you reconnect.")
+    } else {
+      const wait = delay < 60_000 ? `${Math.round(delay / 1000)}s` : `${Math.round(delay / 60_000)} min`
+      setSyncError(`Changes saved locally. Retrying cloud sync in ${wait}.`)
     }
-  }, [ensureAccessToken, writeRemoteTasks])
+  }, [syncProvider.id])
 
   const syncFromCloud = useCallback(async ({ interactive } = {}) => {
-    if (!userEmail || !googleReady || !hasClientId) return
+    if (!userEmail || !syncAvailable) return
 
     setSyncError("")
-    setSyncStatus("syncing")
-
-    const token = await ensureAccessToken({ interactive: Boolean(interactive) })
-    if (!token) {
+    const authorized = await syncProvider
+      .authorize({ interactive: Boolean(interactive) })
+      .catch(() => false)
+    if (!authorized) {
       setSyncStatus("idle")
       if (interactive) {
         setSyncError("Cloud sync authorization was not granted.")
@@ -459,49 +887,12 @@ export default function App() {
       return
     }
 
-    try {
-      const remote = await readRemoteTasks(token)
-
-      const key = getUserTasksStorageKey(userEmail)
-      const localStored = localStorage.getItem(key)
-      const local = normalizeTasks(localStored ? JSON.parse(localStored) : [])
-      const localSig = toSignature(local)
-      const remoteSig = toSignature(remote.tasks)
-
-      if (remote.exists) {
-        if (remoteSig !== localSig) {
-          if (getLatestUpdate(remote.tasks) >= getLatestUpdate(local)) {
-            setTasks(remote.tasks)
-            lastSyncedSignatureRef.current = remoteSig
-          } else {
-            await writeRemoteTasks(token, local)
-            lastSyncedSignatureRef.current = localSig
-          }
-        } else {
-          lastSyncedSignatureRef.current = localSig
-        }
-      } else if (local.length > 0) {
-        await writeRemoteTasks(token, local)
-        lastSyncedSignatureRef.current = localSig
-      } else {
-        lastSyncedSignatureRef.current = toSignature([])
-      }
-
-      syncInitializedRef.current = true
-      setSyncStatus("ready")
-      setSyncError("")
-    } catch {
-      setSyncStatus("error")
-      setSyncError("Unable to sync tasks from cloud.")
+    if (syncQueueRef.current) {
+      syncQueueRef.current.flush({ force: true })
+    } else {
+      tabChannelRef.current?.post({ type: "sync-now", email: userEmail, tabId: TAB_ID, boardKey })
     }
-  }, [
-    userEmail,
-    googleReady,
-    hasClientId,
-    ensureAccessToken,
-    readRemoteTasks,
-    writeRemoteTasks,
-  ])
+  }, [userEmail, boardKey, syncAvailable, syncProvider])
 
   useEffect(() => {
     if (!GOOGLE_CLIENT_ID) return
@@ -510,30 +901,380 @@ export default function App() {
   }, [googleReady, user, renderGoogleButton])
 
   useEffect(() => {
-    if (!userEmail || !googleReady || !hasClientId) return
-    syncFromCloud({ interactive: false })
-  }, [userEmail, googleReady, hasClientId, syncFromCloud])
+    latestSyncStateRef.current = { tasks, tombstones, boards, boardTombstones }
+    runSyncRef.current = runSync
+  })
 
+  // The tab leading a board's sync owns its outbound queue. The first run
+  // pulls the cloud copy; later ones push whatever changed since.
   useEffect(() => {
-    if (!syncInitializedRef.current || !userEmail || !hasClientId) return
+    syncInitializedRef.current = false
+    if (!isBoardLoaded || !syncAvailable || !isSyncLeader) return
+
+    const queue = createSyncQueue({
+      run: () => runSyncRef.current(),
+      onError: handleSyncError,
+      online: navigator.onLine !== false,
+    })
+    syncQueueRef.current = queue
+    queue.flush({ force: true })
 
-    const currentSignature = toSignature(tasks)
-    if (currentSignature === lastSyncedSignatureRef.current) return
+    return () => {
+      queue.close()
+      syncQueueRef.current = null
+    }
+  }, [isBoardLoaded, syncAvailable, isSyncLeader, syncProvider, handleSyncError])
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine !== false)
+    window.addEventListener("online", updateOnline)
+    window.addEventListener("offline", updateOnline)
+    return () => {
+      window.removeEventListener("online", updateOnline)
+      window.removeEventListener("offline", updateOnline)
+    }
+  }, [])
 
-    if (syncTimerRef.current) {
-      clearTimeout(syncTimerRef.current)
+  useEffect(() => {
+    syncQueueRef.current?.setOnline(isOnline)
+  }, [isOnline])
+
+  // Try to push changes still waiting on the debounce or a retry before the
+  // page goes away. A sync reads before it writes, so it can't be sent as one
+  // keepalive request and the browser may cut it off. Nothing is lost then:
+  // the board on disk still differs from its sync base, and the next load
+  // uploads it, whichever board is open.
+  useEffect(() => {
+    const flush = () => syncQueueRef.current?.flush()
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") flush()
+    }
+    window.addEventListener("pagehide", flush)
+    document.addEventListener("visibilitychange", handleVisibilityChange)
+    return () => {
+      window.removeEventListener("pagehide", flush)
+      document.removeEventListener("visibilitychange", handleVisibilityChange)
     }
+  }, [])
+
+  useEffect(() => {
+    if (!isBoardLoaded) return
+    if (toSignature(tasks, tombstones) === lastSyncedSignatureRef.current) return
+    syncQueueRef.current?.request()
+  }, [tasks, tombstones, isBoardLoaded])
+
+  useEffect(() => {
+    if (!boardsLoaded) return
+    if (toBoardsSignature(boards, boardTombstones) === lastSyncedBoardsSignatureRef.current) return
+    syncQueueRef.current?.request()
+  }, [boards, boardTombstones, boardsLoaded])
 
-    syncTimerRef.current = setTimeout(() => {
-      pushTasksToCloud(tasks)
-    }, 700)
+  // Each board is synced by one tab at a time, so open tabs don't race each
+  // other writing to the cloud. The others get its results over the tab channel.
+  useEffect(() => {
+    if (!userEmail) return
+    return electLeader(`sync:${boardKey}`, setIsSyncLeader)
+  }, [userEmail, boardKey])
+
+  // Boards that aren't open here can hold edits that never went up. The open
+  // board's leader uploads them, each under that board's own lock, so a tab
+  // that has one open syncs it itself and hands over when it closes.
+  const closedBoardIds = boards
+    .map(board => board.id)
+    .filter(id => id !== activeBoardId)
+    .join(" ")
+  useEffect(() => {
+    if (!boardsLoaded || !syncAvailable || !isSyncLeader || !closedBoardIds) return
+
+    const releases = closedBoardIds.split(" ").map(id => {
+      const release = electLeader(`sync:${userEmail}:${id}`, leading => {
+        if (!leading) return
+        uploadStoredBoard(syncProvider, userEmail, id)
+          .catch(() => {})
+          .finally(() => release())
+      })
+      return release
+    })
+    return () => releases.forEach(release => release())
+  }, [boardsLoaded, syncAvailable, isSyncLeader, closedBoardIds, userEmail, syncProvider])
+
+  useEffect(() => {
+    handleTabMessageRef.current = (message) => {
+      if (message?.email !== userEmail || message.tabId === TAB_ID) return
+
+      if (message.type === "board" && message.boardKey === boardKey && isBoardLoaded) {
+        const base = sharedBoardRef.current
+        sharedBoardRef.current = {
+          signature: toSignature(message.tasks, message.tombstones),
+          tasks: message.tasks,
+        }
+        setTasks(current =>
+          toSignature(current, tombstones) === base.signature
+            ? message.tasks
+            : applyTombstones(
+              normalizeTasks(mergeTasks(base.tasks, current, message.tasks).tasks),
+              message.tombstones
+            ).tasks
+        )
+        setTombstones(current => mergeTombstones(current, message.tombstones))
+      } else if (message.type === "boards" && boardsLoaded) {
+        const base = sharedBoardsRef.current
+        sharedBoardsRef.current = {
+          signature: toBoardsSignature(message.boards, message.tombstones),
+          boards: message.boards,
+        }
+        setBoards(current =>
+          toBoardsSignature(current, boardTombstones) === base.signature
+            ? message.boards
+            : ensureBoards(
+              applyTombstones(
+                normalizeBoards(mergeTasks(base.boards, current, message.boards).tasks),
+                message.tombstones
+              ).tasks
+            )
+        )
+        setBoardTombstones(current => mergeTombstones(current, message.tombstones))
+      } else if (message.type === "sync-status" && message.boardKey === boardKey) {
+        if (isSyncLeader) return
+        setSyncStatus(message.status)
+        setSyncError(message.error)
+        setSharedPendingCount(message.pendingCount)
+        setLastSyncedAt(message.lastSyncedAt)
+      } else if (message.type === "sync-now" && message.boardKey === boardKey) {
+        syncQueueRef.current?.flush({ force: true })
+      } else if (message.type === "sync-conflicts" && message.boardKey === boardKey) {
+        sharedConflictsRef.current = JSON.stringify(message.conflicts)
+        setSyncConflicts(message.conflicts)
+      } else if (message.type === "sync-settings") {
+        applySyncSettings(message.sync)
+      } else if (message.type === "sync-password-request") {
+        const { rest } = settings.sync
+        if (!rest.password || rest.url !== message.url || rest.username !== message.username) return
+        tabChannelRef.current?.post({
+          type: "sync-password",
+          email: userEmail,
+          tabId: TAB_ID,
+          url: rest.url,
+          username: rest.username,
+          password: rest.password,
+        })
+      } else if (message.type === "sync-password" && needsSyncPassword) {
+        const { rest } = settings.sync
+        if (rest.url !== message.url || rest.username !== message.username) return
+        setSettings(prev => ({
+          ...prev,
+          sync: { ...prev.sync, rest: { ...prev.sync.rest, password: message.password } },
+        }))
+      } else if (message.type === "hello" && message.boardKey === boardKey && isSyncLeader) {
+        tabChannelRef.current?.post({
+          type: "sync-status",
+          email: userEmail,
+          tabId: TAB_ID,
+          boardKey,
+          status: syncStatus,
+          error: syncError,
+          pendingCount,
+          lastSyncedAt,
+        })
+        tabChannelRef.current?.post({
+          type: "sync-conflicts",
+          email: userEmail,
+          tabId: TAB_ID,
+          boardKey,
+          conflicts: syncConflicts,
+        })
+      }
+    }
+  })
 
+  useEffect(() => {
+    if (!userEmail) return
+    const channel = openTabChannel(message => handleTabMessageRef.current(message))
+    tabChannelRef.current = channel
     return () => {
-      if (syncTimerRef.current) {
-        clearTimeout(syncTimerRef.current)
+      channel.close()
+      tabChannelRef.current = null
+    }
+  }, [userEmail])
+
+  // A password the user didn't ask to remember lives in each tab's
+  // sessionStorage, so a new tab asks the open ones for it.
+  useEffect(() => {
+    if (!userEmail || !needsSyncPassword) return
+    tabChannelRef.current?.post({
+      type: "sync-password-request",
+      email: userEmail,
+      tabId: TAB_ID,
+      url: settings.sync.rest.url,
+      username: settings.sync.rest.username,
+    })
+  }, [userEmail, needsSyncPassword, settings.sync.rest.url, settings.sync.rest.username])
+
+  useEffect(() => {
+    if (!isBoardLoaded) return
+    const signature = toSignature(tasks, tombstones)
+    if (signature === sharedBoardRef.current.signature) return
+
+    sharedBoardRef.current = { signature, tasks }
+    tabChannelRef.current?.post({
+      type: "board",
+      email: userEmail,
+      tabId: TAB_ID,
+      boardKey,
+      tasks,
+      tombstones,
+    })
+  }, [tasks, tombstones, isBoardLoaded, userEmail, boardKey])
+
+  useEffect(() => {
+    if (!boardsLoaded) return
+    const signature = toBoardsSignature(boards, boardTombstones)
+    if (signature === sharedBoardsRef.current.signature) return
+
+    sharedBoardsRef.current = { signature, boards }
+    tabChannelRef.current?.post({
+      type: "boards",
+      email: userEmail,
+      tabId: TAB_ID,
+      boards,
+      tombstones: boardTombstones,
+    })
+  }, [boards, boardTombstones, boardsLoaded, userEmail])
+
+  useEffect(() => {
+    const signature = JSON.stringify(syncConflicts)
+    if (!userEmail || signature === sharedConflictsRef.current) return
+
+    sharedConflictsRef.current = signature
+    tabChannelRef.current?.post({
+      type: "sync-conflicts",
+      email: userEmail,
+      tabId: TAB_ID,
+      boardKey,
+      conflicts: syncConflicts,
+    })
+  }, [syncConflicts, userEmail, boardKey])
+
+  useEffect(() => {
+    if (!userEmail) return
+    if (isSyncLeader) {
+      tabChannelRef.current?.post({
+        type: "sync-status",
+        email: userEmail,
+        tabId: TAB_ID,
+        boardKey,
+        status: syncStatus,
+        error: syncError,
+        pendingCount,
+        lastSyncedAt,
+      })
+    } else {
+      tabChannelRef.current?.post({ type: "hello", email: userEmail, tabId: TAB_ID, boardKey })
+    }
+  }, [isSyncLeader, syncStatus, syncError, pendingCount, lastSyncedAt, userEmail, boardKey])
+
+  useEffect(() => {
+    if (!toast) return
+    const timer = setTimeout(() => setToast(null), TOAST_DURATION_MS)
+    return () => clearTimeout(timer)
+  }, [toast])
+
+  const recordHistory = (label) => {
+    setHistory(prev => pushHistoryEntry(prev, { label, before: tasks }))
+  }
+
+  useEffect(() => {
+    const entry = history.past[history.past.length - 1]
+    if (!entry || entry.changes) return
+    setHistory(prev => completeHistoryEntry(prev, tasks))
+  }, [history, tasks])
+
+  const applySnapshot = useCallback((snapshot) => {
+    const now = Date.now()
+    const { tasks: restored, restoredIds, removedIds } = restoreSnapshot(tasks, snapshot, now)
+
+    setTasks(restored)
+    setTombstones(prev =>
+      addTombstones(
+        prev.filter(entry => !restoredIds.includes(entry.id)),
+        removedIds,
+        now
+      )
+    )
+  }, [tasks])
+
+  const applyHistoryChanges = useCallback((changes, side) => {
+    const now = Date.now()
+    const { tasks: next, restoredIds, removedIds } = applyChanges(tasks, changes, side, now)
+
+    setTasks(next)
+    setTombstones(prev =>
+      addTombstones(
+        prev.filter(entry => !restoredIds.includes(entry.id)),
+        removedIds,
+        now
+      )
+    )
+  }, [tasks])
+
+  const undo = useCallback(() => {
+    const entry = history.past[history.past.length - 1]
+    if (!entry?.changes) return
+
+    setHistory({
+      past: history.past.slice(0, -1),
+      future: [...history.future, entry],
+    })
+    applyHistoryChanges(entry.changes, "before")
+    setToast(null)
+  }, [history, applyHistoryChanges])
+
+  const redo = useCallback(() => {
+    const entry = history.future[history.future.length - 1]
+    if (!entry) return
+
+    setHistory({
+      past: [...history.past, entry],
+      future: history.future.slice(0, -1),
+    })
+    applyHistoryChanges(entry.changes, "after")
+    setToast(null)
+  }, [history, applyHistoryChanges])
+
+  useEffect(() => {
+    if (!userEmail) return
+
+    const handleKeyDown = (event) => {
+      if (!(event.metaKey || event.ctrlKey)) return
+
+      if (event.key.toLowerCase() === "k") {
+        event.preventDefault()
+        setShowCommandPalette(open => !open)
+        return
+      }
+
+      // A review is undone as a whole once it's finished, not step by step.
+      if (event.key.toLowerCase() !== "z" || reviewing) return
+
+      const target = event.target
+      if (
+        target instanceof HTMLElement &&
+        (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return
+      }
+
+      event.preventDefault()
+      if (event.shiftKey) {
+        redo()
+      } else {
+        undo()
       }
     }
-  }, [tasks, userEmail, hasClientId, pushTasksToCloud])
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [userEmail, undo, redo, reviewing])
 
   const sensors = useSensors(
     useSensor(PointerSensor, {
@@ -544,37 +1285,413 @@ export default function App() {
     })
   )
 
-  const addTask = (title, quadrant) => {
-    if (!title.trim()) return
+  const addTask = (text, fallbackQuadrant) => {
+    const { title, quadrant, due, tags, assignee } = parseQuickAdd(text, fallbackQuadrant)
+    if (!title) return
 
+    recordHistory("Add task")
     setTasks(prev => {
       const now = Date.now()
-      const newTask = {
+      const newTask = normalizeTask({
         id: generateId(),
         title,
-        quadrant,
-        completed: false,
+        ...QUADRANT_DEFAULT_SCORES[quadrant],
         order: prev.filter(t => t.quadrant === quadrant).length,
+        due,
+        tags,
+        assignee,
+        createdAt: now,
         updatedAt: now,
-      }
+      })
       return [...prev, newTask]
     })
   }
 
   const toggleTask = (id) => {
+    recordHistory("Toggle task")
+    setTasks(prev =>
+      completeOccurrences(
+        prev,
+        prev.map(t =>
+          t.id === id ? setTaskCompleted(t, !t.completed, Date.now()) : t
+        )
+      )
+    )
+  }
+
+  const updateTask = (id, patch) => {
+    recordHistory("Edit task")
     setTasks(prev =>
       prev.map(t =>
-        t.id === id ? { ...t, completed: !t.completed, updatedAt: Date.now() } : t
+        t.id === id ? { ...t, ...patch, updatedAt: Date.now() } : t
+      )
+    )
+  }
+
+  const updateSubtasks = (id, subtasks, label) => {
+    recordHistory(label)
+    setTasks(prev =>
+      completeOccurrences(
+        prev,
+        prev.map(t =>
+          t.id === id
+            ? applySubtasks(t, subtasks, {
+              completeParent: settings.completeParentWithSubtasks,
+            })
+            : t
+        )
       )
     )
   }
 
+  const updateTaskScores = (id, scores) => {
+    const task = tasks.find(t => t.id === id)
+    const quadrant =
+      task &&
+      quadrantFromScores({
+        urgency: scores.urgency ?? task.urgency,
+        importance: scores.importance ?? task.importance,
+      })
+    if (task && quadrant !== task.quadrant) {
+      logMoves([createMoveEvent(task, quadrant, "plot")])
+    }
+
+    recordHistory("Change priority")
+    setTasks(prev => setTaskScores(prev, id, scores))
+  }
+
   const deleteTask = (id) => {
+    recordHistory("Delete task")
     setTasks(prev => prev.filter(t => t.id !== id))
+    setTombstones(prev => addTombstones(prev, [id]))
+    setToast({ message: "Task deleted" })
   }
 
   const clearCompleted = () => {
-    setTasks(prev => prev.filter(t => !t.completed))
+    const { tasks: next, archivedIds } = archiveCompleted(tasks)
+    if (!archivedIds.length) return
+
+    recordHistory("Clear completed")
+    setTasks(next)
+    setToast({
+      message: `Archived ${archivedIds.length} completed ${
+        archivedIds.length === 1 ? "task" : "tasks"
+      }`,
+    })
+  }
+
+  const restoreFromArchive = (id) => {
+    recordHistory("Restore task")
+    setTasks(prev => restoreArchivedTask(prev, id))
+  }
+
+  const restoreFromHistory = (snapshotTasks) => {
+    recordHistory("Restore from history")
+    applySnapshot(snapshotTasks)
+    setShowHistory(false)
+    setToast({ message: "Restored an earlier version" })
+  }
+
+  const purgeArchive = (ids) => {
+    if (!ids.length) return
+
+    const purged = new Set(ids)
+    recordHistory("Purge archive")
+    setTasks(prev => prev.filter(t => !purged.has(t.id)))
+    setTombstones(prev => addTombstones(prev, ids))
+    setToast({
+      message: `Purged ${ids.length} archived ${ids.length === 1 ? "task" : "tasks"}`,
+    })
+  }
+
+  const lastSyncedLabel = formatLastSynced(lastSyncedAt, now)
+  const syncActivity = !isOnline
+    ? "Offline"
+    : syncStatus === "syncing"
+      ? "Syncing..."
+      : ""
+  const syncLabel =
+    syncStatus === "idle"
+      ? "Local only"
+      : !syncActivity && !pendingCount
+        ? `Synced ${lastSyncedLabel}`.trim()
+        : [
+          syncActivity,
+          pendingCount ? `${pendingCount} pending` : "",
+          lastSyncedLabel ? `last synced ${lastSyncedLabel}` : "",
+        ].filter(Boolean).join(" · ")
+
+  // Conflicts for tasks deleted since then no longer need a decision.
+  const pendingConflicts = syncConflicts.filter(conflict =>
+    tasks.some(task => task.id === conflict.id)
+  )
+
+  const resolveSyncConflicts = (conflicts, choice) => {
+    const resolvedAt = Date.now()
+    const resolvedIds = new Set(conflicts.map(conflict => conflict.id))
+
+    recordHistory(conflicts.length === 1 ? "Resolve conflict" : "Resolve conflicts")
+    setTasks(prev =>
+      conflicts.reduce(
+        (list, conflict) => resolveConflict(list, conflict, choice, resolvedAt),
+        prev
+      )
+    )
+    setSyncConflicts(prev => prev.filter(conflict => !resolvedIds.has(conflict.id)))
+  }
+
+  const startReview = () => setReviewChanges([])
+
+  const applyReviewDecision = (id, action) => {
+    const task = tasks.find(t => t.id === id)
+    if (!task) return
+
+    if (action.type === "move") logMoves([createMoveEvent(task, action.quadrant, "review")])
+    if (action.type === "delete") setTombstones(prev => addTombstones(prev, [id]))
+    const next = applyReviewAction(tasks, id, action)
+    setReviewChanges(prev => combineChanges(prev, diffTasks(tasks, next)))
+    setTasks(next)
+  }
+
+  const finishReview = ({ changed, undo: undoChanges }) => {
+    const changes = reviewChanges
+    setReviewChanges(null)
+    if (!changed) return
+
+    const entry = { label: "Weekly review", changes }
+    if (undoChanges) {
+      setHistory(prev => ({ past: prev.past, future: [entry] }))
+      applyHistoryChanges(changes, "before")
+      return
+    }
+    if (changes.length) setHistory(prev => pushHistoryEntry(prev, entry))
+    setToast({ message: "Weekly review finished" })
+  }
+
+  const importTasks = (importedTasks, mode) => {
+    const importedAt = Date.now()
+    const importedIds = new Set(importedTasks.map(t => t.id))
+    const { tasks: nextTasks, removedIds } = applyImport(tasks, importedTasks, mode, importedAt)
+
+    recordHistory(mode === "replace" ? "Replace board" : "Import tasks")
+    setTasks(nextTasks)
+    setTombstones(prev =>
+      addTombstones(
+        prev.filter(entry => !importedIds.has(entry.id)),
+        removedIds,
+        importedAt
+      )
+    )
+    setShowTransferDialog(false)
+    setToast({
+      message: `Imported ${importedTasks.length} ${
+        importedTasks.length === 1 ? "task" : "tasks"
+      }`,
+    })
+  }
+
+  // Guest boards the account doesn't have are added as they are; tasks on the
+  // open board go through its state so they sync like any other edit.
+  const mergeGuestTasks = async () => {
+    const profile = guestProfile
+    const mergedAt = Date.now()
+    setGuestProfile(null)
+
+    const newBoards = profile.boards
+      .map(entry => entry.board)
+      .filter(board => !boards.some(existing => existing.id === board.id))
+    if (newBoards.length) {
+      setBoards(prev => [
+        ...prev,
+        ...newBoards.map((board, index) => ({
+          ...board,
+          order: prev.length + index,
+          updatedAt: mergedAt,
+        })),
+      ])
+    }
+
+    const open = profile.boards.find(entry => entry.board.id === activeBoardId)
+    if (open) {
+      const mergedIds = new Set(open.tasks.map(task => task.id))
+      recordHistory("Add guest tasks")
+      setTasks(applyImport(tasks, open.tasks, "merge", mergedAt).tasks)
+      setTombstones(prev => prev.filter(entry => !mergedIds.has(entry.id)))
+    }
+
+    try {
+      await Promise.all(
+        profile.boards
+          .filter(entry => entry !== open)
+          .map(entry => mergeIntoStoredBoard(userEmail, entry.board.id, entry.tasks, mergedAt))
+      )
+      await clearGuestProfile()
+      setToast({
+        message: `Added ${profile.taskCount} guest ${profile.taskCount === 1 ? "task" : "tasks"}`,
+      })
+    } catch {
+      setToast({ message: "Some guest tasks couldn't be added. Try again after reloading." })
+    }
+  }
+
+  const declineGuestMerge = () => {
+    localStorage.setItem(
+      getUserGuestMergeStorageKey(userEmail),
+      JSON.stringify(guestProfile.updatedAt)
+    )
+    setGuestProfile(null)
+  }
+
+  const moveTaskTo = (id, quadrant) => {
+    const task = tasks.find(t => t.id === id)
+    if (!task || task.quadrant === quadrant) return
+
+    recordHistory("Move task")
+    setTasks(prev => moveTaskToQuadrant(prev, id, quadrant))
+    logMoves([createMoveEvent(task, quadrant, "keyboard")])
+    focusTaskElement(id)
+  }
+
+  const shiftTask = (id, delta) => {
+    if (settings.sortMode === "score") return
+
+    const task = tasks.find(t => t.id === id)
+    if (!task) return
+
+    const quadrantTasks = boardTasks
+      .filter(t => t.quadrant === task.quadrant)
+      .sort((a, b) => a.order - b.order)
+    // Step over tasks hidden by the filter bar, so the move is visible.
+    const visible = quadrantTasks.filter(t => !filtering || matchesFilters(t, filters, now))
+    const neighbour = visible[visible.findIndex(t => t.id === id) + delta]
+    if (!neighbour) return
+
+    reorderTasks(quadrantTasks, quadrantTasks.indexOf(task), quadrantTasks.indexOf(neighbour))
+    focusTaskElement(id)
+  }
+
+  const jumpToTask = (id) => {
+    if (settings.view !== "matrix") {
+      setSettings(prev => ({ ...prev, view: "matrix" }))
+    }
+    focusTaskElement(id)
+  }
+
+  const paletteActions = [
+    { id: "clear-completed", label: "Clear completed", run: clearCompleted },
+    { id: "archive", label: "Open archive", run: () => setShowArchive(true) },
+    { id: "analytics", label: "Open insights", run: () => setShowAnalytics(true) },
+    { id: "review", label: "Start weekly review", run: startReview },
+    ...(pendingConflicts.length
+      ? [{ id: "conflicts", label: "Resolve sync conflicts", run: () => setShowConflicts(true) }]
+      : []),
+    ...(syncAvailable
+      ? [
+        { id: "sync", label: "Sync now", run: () => syncFromCloud({ interactive: true }) },
+        { id: "history", label: "Open sync history", run: () => setShowHistory(true) },
+      ]
+      : []),
+    { id: "undo", label: "Undo", hint: "Ctrl/⌘ Z", run: undo },
+    { id: "redo", label: "Redo", hint: "Ctrl/⌘ ⇧ Z", run: redo },
+    {
+      id: "toggle-view",
+      label: settings.view === "matrix" ? "Switch to plot view" : "Switch to matrix view",
+      run: () =>
+        setSettings(prev => ({ ...prev, view: prev.view === "matrix" ? "plot" : "matrix" })),
+    },
+    { id: "due-soon", label: "Show due soon", run: () => setShowEscalationPanel(true) },
+    {
+      id: "waiting-on",
+      label: "Show waiting on",
+      run: () => setSettings(prev => ({ ...prev, view: "waiting" })),
+    },
+    { id: "import-export", label: "Import / export…", run: () => setShowTransferDialog(true) },
+    { id: "sync-settings", label: "Cloud sync settings…", run: () => setShowSyncSettings(true) },
+    { id: "manage-boards", label: "Manage boards…", run: () => setShowBoardsDialog(true) },
+    ...getActiveBoards(boards)
+      .filter(board => board.id !== activeBoardId)
+      .map(board => ({
+        id: `board-${board.id}`,
+        label: `Switch to board: ${board.name}`,
+        run: () => selectBoard(board.id),
+      })),
+    ...EXPORT_FORMATS.map(format => ({
+      id: `export-${format.id}`,
+      label: `Export as ${format.label}`,
+      run: () => downloadFile(exportBoard(format.id, tasks, tombstones)),
+    })),
+  ]
+
+  // Every tab applies a settings change, so none keeps syncing to the old
+  // remote. The stored base describes that remote; merging a different one
+  // against it would read its missing tasks as deletions. So each tab stops
+  // its queue and lets an upload in flight finish before it clears the bases,
+  // and the last write to them is always a reset.
+  const applySyncSettings = async (next) => {
+    if (JSON.stringify(next) === JSON.stringify(settings.sync)) return
+
+    syncQueueRef.current?.close()
+    syncQueueRef.current = null
+    await syncRunRef.current?.catch(() => {})
+    await Promise.all([
+      ...boards.map(board => saveSyncBase(userEmail, board.id, [])),
+      ...boards.map(board => saveLastSyncedAt(userEmail, board.id, 0)),
+      saveBoardListSyncBase(userEmail, []),
+    ])
+    setSyncBase([])
+    setLastSyncedAt(0)
+    setSyncStatus("idle")
+    setSyncError("")
+    setSettings(prev => ({ ...prev, sync: next }))
+  }
+
+  const saveSyncSettings = (next) => {
+    setShowSyncSettings(false)
+    if (JSON.stringify(next) === JSON.stringify(settings.sync)) return
+
+    tabChannelRef.current?.post({
+      type: "sync-settings",
+      email: userEmail,
+      tabId: TAB_ID,
+      sync: next,
+    })
+    applySyncSettings(next)
+  }
+
+  const addTagFilter = (tag) => {
+    setFilters(prev => (prev.tags.includes(tag) ? prev : { ...prev, tags: [...prev.tags, tag] }))
+  }
+
+  const selectBoard = (id) => {
+    setSettings(prev => ({ ...prev, activeBoardId: id }))
+  }
+
+  const addBoard = (name) => {
+    const { boards: next, board } = createBoard(boards, name)
+    setBoards(next)
+    selectBoard(board.id)
+  }
+
+  const renameBoard = (id, name) => {
+    if (!name.trim()) return
+    setBoards(prev => updateBoard(prev, id, { name }))
+  }
+
+  const moveBoardBy = (id, delta) => {
+    setBoards(prev => moveBoard(prev, id, delta))
+  }
+
+  const archiveBoard = (id, archived) => {
+    const open = getActiveBoards(boards)
+    if (archived && open.length === 1 && open[0].id === id) return
+    setBoards(prev => updateBoard(prev, id, { archived }))
+  }
+
+  const deleteBoard = (id) => {
+    if (!getActiveBoards(boards).some(board => board.id !== id)) return
+    setBoards(prev => prev.filter(board => board.id !== id))
+    setBoardTombstones(prev => addTombstones(prev, [id]))
+    removeBoardData(userEmail, id).catch(() => {})
   }
 
   const reorderTasks = (quadrantTasks, from, to) => {
@@ -587,11 +1704,9 @@ export default function App() {
       updatedAt: now,
     }))
 
-    setTasks(prev => {
-      const quadrantId = quadrantTasks[0].quadrant
-      const others = prev.filter(t => t.quadrant !== quadrantId)
-      return [...others, ...updated]
-    })
+    recordHistory("Reorder tasks")
+    const updatedIds = new Set(updated.map(t => t.id))
+    setTasks(prev => [...prev.filter(t => !updatedIds.has(t.id)), ...updated])
   }
 
   const handleDragEnd = ({ active, over }) => {
@@ -604,7 +1719,9 @@ export default function App() {
     const targetQuadrant = over.data?.current?.quadrant ?? sourceQuadrant
 
     if (sourceQuadrant === targetQuadrant) {
-      const quadrantTasks = tasks
+      if (settings.sortMode === "score") return
+
+      const quadrantTasks = boardTasks
         .filter(t => t.quadrant === sourceQuadrant)
         .sort((a, b) => a.order - b.order)
 
@@ -617,32 +1734,75 @@ export default function App() {
       return
     }
 
-    setTasks(prev => {
-      const sourceTasks = prev
-        .filter(t => t.quadrant === sourceQuadrant && t.id !== active.id)
-        .sort((a, b) => a.order - b.order)
-        .map((t, i) => ({ ...t, order: i, updatedAt: Date.now() }))
+    recordHistory("Move task")
+    setTasks(prev => moveTaskToQuadrant(prev, active.id, targetQuadrant))
+    logMoves([createMoveEvent(activeTask, targetQuadrant, "drag")])
+  }
 
-      const targetTasks = prev
-        .filter(t => t.quadrant === targetQuadrant)
-        .sort((a, b) => a.order - b.order)
+  const promoteTasks = useCallback((candidates, { auto = false } = {}) => {
+    if (!candidates.length) return
 
-      const movedTask = {
-        ...activeTask,
-        quadrant: targetQuadrant,
-        order: targetTasks.length,
-        updatedAt: Date.now(),
-      }
+    const promotedAt = Date.now()
+    const entries = candidates.map(({ task, to }) =>
+      createPromotion(task, to, { auto, now: promotedAt })
+    )
 
-      return [
-        ...prev.filter(
-          t => t.quadrant !== sourceQuadrant && t.quadrant !== targetQuadrant
-        ),
-        ...sourceTasks,
-        ...targetTasks,
-        movedTask,
-      ]
+    setTasks(prev =>
+      entries.reduce(
+        (list, entry) => moveTaskToQuadrant(list, entry.taskId, entry.to, {}, promotedAt),
+        prev
+      )
+    )
+    setPromotions(prev => [...entries, ...prev].slice(0, PROMOTION_LOG_LIMIT))
+    setMoveEvents(prev =>
+      [
+        ...prev,
+        ...candidates.map(({ task, to }) => createMoveEvent(task, to, "promotion", promotedAt)),
+      ].slice(-MOVE_LOG_LIMIT)
+    )
+  }, [])
+
+  // Only the sync leader promotes, so tabs sharing the board don't each log
+  // and move the same tasks.
+  useEffect(() => {
+    if (settings.escalation.mode !== "auto" || !isSyncLeader) return
+    promoteTasks(escalations, { auto: true })
+  }, [settings.escalation.mode, isSyncLeader, escalations, promoteTasks])
+
+  const promoteManually = (candidates) => {
+    recordHistory(candidates.length === 1 ? "Promote task" : "Promote tasks")
+    promoteTasks(candidates)
+  }
+
+  const dismissEscalation = (task) => {
+    updateTask(task.id, { escalationDismissedFor: task.due })
+  }
+
+  const revertPromotion = (entry) => {
+    const revertedAt = Date.now()
+
+    recordHistory("Revert promotion")
+    setTasks(prev => {
+      const task = prev.find(t => t.id === entry.taskId)
+      if (!task) return prev
+      if (task.quadrant !== entry.to) {
+        return prev.map(t =>
+          t.id === entry.taskId
+            ? { ...t, escalationDismissedFor: entry.due, updatedAt: revertedAt }
+            : t
+        )
+      }
+      return moveTaskToQuadrant(
+        prev,
+        entry.taskId,
+        entry.from,
+        { escalationDismissedFor: entry.due },
+        revertedAt
+      )
     })
+    setPromotions(prev =>
+      prev.map(e => (e.id === entry.id ? { ...e, revertedAt } : e))
+    )
   }
 
   if (!user) {
@@ -651,6 +1811,7 @@ export default function App() {
         googleButtonRef={googleButtonRef}
         googleReady={googleReady}
         hasClientId={hasClientId}
+        onContinueAsGuest={() => setUser(GUEST_USER)}
       />
     )
   }
@@ -660,90 +1821,308 @@ export default function App() {
       <div className="mx-auto w-full max-w-5xl">
         <div className="sticky top-0 z-10 -mx-4 mb-4 bg-gray-50/95 px-4 pb-3 pt-4 backdrop-blur sm:static sm:mx-0 sm:mb-6 sm:bg-transparent sm:px-0 sm:pb-0 sm:pt-0">
           <div className="flex items-center justify-between gap-3">
-            <h1 className="text-xl font-semibold sm:text-2xl">Eisenhower Matrix</h1>
+            <div className="flex min-w-0 items-center gap-2">
+              <h1 className="text-xl font-semibold sm:text-2xl">Eisenhower Matrix</h1>
+              <BoardSwitcher
+                boards={getActiveBoards(boards)}
+                activeBoardId={activeBoardId}
+                onSelect={selectBoard}
+                onManage={() => setShowBoardsDialog(true)}
+              />
+            </div>
 
             <div className="flex items-center gap-2">
+              <div className="flex items-center">
+                <button
+                  onClick={() => setShowCommandPalette(true)}
+                  className="hidden rounded-md border border-gray-200 px-2 py-1 font-mono text-[11px] text-gray-500 hover:bg-gray-100 sm:inline"
+                  title="Command palette (Ctrl/Cmd+K)"
+                >
+                  ⌘K
+                </button>
+                <button
+                  onClick={undo}
+                  disabled={!history.past.length}
+                  className="rounded-md px-2 py-1 text-base text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent"
+                  title="Undo (Ctrl/Cmd+Z)"
+                  aria-label="Undo"
+                >
+                  ↶
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!history.future.length}
+                  className="rounded-md px-2 py-1 text-base text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:hover:bg-transparent"
+                  title="Redo (Ctrl/Cmd+Shift+Z)"
+                  aria-label="Redo"
+                >
+                  ↷
+                </button>
+              </div>
+
               <div className="flex items-center gap-2 rounded-full border border-gray-200 bg-white px-2 py-1 text-xs sm:text-sm">
-                <img
-                  src={user.picture}
-                  alt={`${user.name} avatar`}
-                  className="h-6 w-6 rounded-full"
-                  referrerPolicy="no-referrer"
-                />
+                {user.picture ? (
+                  <img
+                    src={user.picture}
+                    alt={`${user.name} avatar`}
+                    className="h-6 w-6 rounded-full"
+                    referrerPolicy="no-referrer"
+                  />
+                ) : (
+                  <span
+                    className="flex h-6 w-6 items-center justify-center rounded-full bg-gray-200 text-[11px] font-medium text-gray-600"
+                    aria-hidden="true"
+                  >
+                    {user.name.charAt(0)}
+                  </span>
+                )}
                 <span className="hidden sm:inline">{user.name}</span>
+                {(!guest || hasClientId) && (
+                  <button
+                    onClick={() => {
+                      if (accessToken && window.google?.accounts?.oauth2?.revoke) {
+                        window.google.accounts.oauth2.revoke(accessToken, () => {})
+                      }
+                      setUser(null)
+                      setAccessToken(null)
+                      setTokenExpiry(0)
+                      setTasks([])
+                      setTombstones([])
+                      setSyncStatus("idle")
+                      setSyncError("")
+                      setGuestProfile(null)
+                      if (user?.email) {
+                        localStorage.removeItem(getUserTokenStorageKey(user.email))
+                      }
+                      if (window.google?.accounts?.id) {
+                        window.google.accounts.id.disableAutoSelect()
+                      }
+                    }}
+                    className="rounded-full px-2 py-1 text-xs text-gray-600 hover:text-gray-900"
+                  >
+                    {guest ? "Sign in" : "Sign out"}
+                  </button>
+                )}
+              </div>
+
+              {pendingConflicts.length > 0 ? (
                 <button
-                  onClick={() => {
-                    if (accessToken && window.google?.accounts?.oauth2?.revoke) {
-                      window.google.accounts.oauth2.revoke(accessToken, () => {})
-                    }
-                    setUser(null)
-                    setAccessToken(null)
-                    setTokenExpiry(0)
-                    setTasks([])
-                    setSyncStatus("idle")
-                    setSyncError("")
-                    if (user?.email) {
-                      localStorage.removeItem(getUserTokenStorageKey(user.email))
-                    }
-                    if (window.google?.accounts?.id) {
-                      window.google.accounts.id.disableAutoSelect()
-                    }
-                  }}
-                  className="rounded-full px-2 py-1 text-xs text-gray-600 hover:text-gray-900"
+                  onClick={() => setShowConflicts(true)}
+                  className="rounded-full bg-amber-100 px-2 py-0.5 text-[11px] font-medium text-amber-800 hover:bg-amber-200 sm:text-xs"
+                  title="Choose which versions to keep"
                 >
-                  Sign out
+                  Conflicts ({pendingConflicts.length})
                 </button>
-              </div>
+              ) : (
+                <span
+                  className="text-[11px] text-gray-500 sm:text-xs"
+                  title={
+                    pendingCount
+                      ? "Pending changes are saved on this device and upload the next time it syncs"
+                      : undefined
+                  }
+                >
+                  {syncLabel}
+                </span>
+              )}
 
-              <span className="text-[11px] text-gray-500 sm:text-xs">
-                {syncStatus === "syncing"
-                  ? "Syncing..."
-                  : syncStatus === "ready"
-                    ? "Synced"
-                    : "Local only"}
-              </span>
+              <button
+                onClick={() => setShowSyncSettings(true)}
+                className="rounded-md px-1 text-base text-gray-500 hover:text-gray-900"
+                title="Cloud sync settings"
+                aria-label="Cloud sync settings"
+              >
+                ⚙
+              </button>
 
               {syncStatus !== "ready" && (
                 <button
-                  onClick={() => syncFromCloud({ interactive: true })}
+                  onClick={() =>
+                    syncAvailable ? syncFromCloud({ interactive: true }) : setShowSyncSettings(true)
+                  }
                   className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
                 >
                   Enable cloud sync
                 </button>
               )}
 
+              <button
+                onClick={() => setShowEscalationPanel(open => !open)}
+                className={`text-xs sm:text-sm px-3 py-2 rounded-md border ${
+                  escalations.length
+                    ? "border-amber-300 bg-amber-50 text-amber-800 hover:bg-amber-100"
+                    : "border-gray-300 hover:bg-gray-100"
+                }`}
+                aria-expanded={showEscalationPanel}
+              >
+                Due soon{escalations.length ? ` (${escalations.length})` : ""}
+              </button>
+
+              <button
+                onClick={() => setShowTransferDialog(true)}
+                className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+              >
+                Import / Export
+              </button>
+
               <button
                 onClick={clearCompleted}
                 className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+                title="Move completed tasks to the archive"
               >
                 Clear completed
               </button>
+
+              <button
+                onClick={() => setShowArchive(true)}
+                className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+              >
+                Archive{archivedTasks.length ? ` (${archivedTasks.length})` : ""}
+              </button>
+
+              <button
+                onClick={() => setShowAnalytics(true)}
+                className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+              >
+                Insights
+              </button>
+
+              <button
+                onClick={startReview}
+                className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+              >
+                Review
+              </button>
+
+              {syncAvailable && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="text-xs sm:text-sm px-3 py-2 rounded-md border border-gray-300 hover:bg-gray-100"
+                  title="Saved copies of this board in the cloud"
+                >
+                  History
+                </button>
+              )}
             </div>
           </div>
           {syncError && <p className="mt-1 text-xs text-red-500">{syncError}</p>}
-          <p className="mt-1 text-xs text-gray-500 sm:text-sm">
-            Tap and hold to drag, or scroll each quadrant to view more tasks.
-          </p>
+          {storageError && <p className="mt-1 text-xs text-red-500">{storageError}</p>}
+          <div className="mt-2 flex flex-wrap items-center justify-between gap-2">
+            <p className="text-xs text-gray-500 sm:text-sm">
+              {settings.view === "plot"
+                ? "Drag tasks across the plane to set urgency and importance."
+                : settings.view === "waiting"
+                  ? "Open tasks delegated to someone, grouped by person."
+                  : "Tap and hold to drag, or scroll each quadrant to view more tasks."}
+            </p>
+
+            <div className="flex items-center gap-2 text-xs sm:text-sm">
+              {settings.view === "matrix" && (
+                <select
+                  value={settings.sortMode}
+                  onChange={e => setSettings(prev => ({ ...prev, sortMode: e.target.value }))}
+                  className="rounded-md border border-gray-300 bg-white px-2 py-1"
+                  aria-label="Sort tasks"
+                >
+                  <option value="manual">Manual order</option>
+                  <option value="score">By priority score</option>
+                </select>
+              )}
+              <div className="flex rounded-md border border-gray-300 bg-white p-0.5">
+                {VIEWS.map(view => (
+                  <button
+                    key={view}
+                    onClick={() => setSettings(prev => ({ ...prev, view }))}
+                    className={`rounded px-2 py-1 ${
+                      settings.view === view ? "bg-gray-900 text-white" : "text-gray-600 hover:text-gray-900"
+                    }`}
+                    aria-pressed={settings.view === view}
+                  >
+                    {VIEW_LABELS[view]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
         </div>
 
-        <DndContext
-          sensors={sensors}
-          collisionDetection={closestCenter}
-          onDragEnd={handleDragEnd}
-        >
-          <div className="grid grid-cols-1 gap-4 md:grid-cols-2 md:grid-rows-2 md:h-[80vh]">
-            {QUADRANTS.map(q => (
-              <Quadrant
-                key={q.id}
-                quadrant={q}
-                tasks={sortedTasks.filter(t => t.quadrant === q.id)}
-                onAddTask={addTask}
-                onToggleTask={toggleTask}
-                onDeleteTask={deleteTask}
-              />
-            ))}
-          </div>
-        </DndContext>
+        {showEscalationPanel && (
+          <EscalationPanel
+            escalations={escalations}
+            promotions={promotions}
+            settings={settings.escalation}
+            now={now}
+            onPromote={promoteManually}
+            onDismiss={dismissEscalation}
+            onRevert={revertPromotion}
+            onSettingsChange={patch =>
+              setSettings(prev => ({
+                ...prev,
+                escalation: normalizeEscalationSettings({ ...prev.escalation, ...patch }),
+              }))
+            }
+            onClose={() => setShowEscalationPanel(false)}
+          />
+        )}
+
+        <QuickAddBar now={now} onAddTask={addTask} />
+
+        <FilterBar
+          filters={filters}
+          tags={allTags}
+          visibleCount={visibleTasks.length}
+          totalCount={boardTasks.length}
+          onChange={setFilters}
+        />
+
+        {settings.view === "plot" ? (
+          <ScatterView tasks={visibleTasks} onScoresChange={updateTaskScores} />
+        ) : settings.view === "waiting" ? (
+          <WaitingOnView
+            tasks={visibleTasks}
+            now={now}
+            onToggle={toggleTask}
+            onUpdate={updateTask}
+            onJumpToTask={jumpToTask}
+          />
+        ) : (
+          <DndContext
+            sensors={sensors}
+            collisionDetection={closestCenter}
+            onDragEnd={handleDragEnd}
+          >
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-2 md:grid-rows-2 md:h-[80vh]">
+              {QUADRANTS.map(q => (
+                <Quadrant
+                  key={q.id}
+                  quadrant={q}
+                  tasks={visibleTasks.filter(t => t.quadrant === q.id)}
+                  hiddenCount={
+                    filtering
+                      ? boardTasks.filter(t => t.quadrant === q.id).length -
+                        visibleTasks.filter(t => t.quadrant === q.id).length
+                      : 0
+                  }
+                  now={now}
+                  tagSuggestions={allTags}
+                  assigneeSuggestions={allAssignees}
+                  onTagClick={addTagFilter}
+                  onAddTask={addTask}
+                  onToggleTask={toggleTask}
+                  onMoveTask={moveTaskTo}
+                  onShiftTask={shiftTask}
+                  onUpdateTask={updateTask}
+                  onSubtasksChange={updateSubtasks}
+                  onDeleteTask={deleteTask}
+                  completeParentWithSubtasks={settings.completeParentWithSubtasks}
+                  onCompleteParentChange={value =>
+                    setSettings(prev => ({ ...prev, completeParentWithSubtasks: value }))
+                  }
+                />
+              ))}
+            </div>
+          </DndContext>
+        )}
 
         <footer className="mt-6 flex items-center justify-center gap-3 text-gray-600">
           <svg
@@ -762,17 +2141,187 @@ export default function App() {
           </a>
         </footer>
       </div>
+
+      {showCommandPalette && (
+        <CommandPalette
+          tasks={sortedTasks}
+          actions={paletteActions}
+          onAddTask={addTask}
+          onJumpToTask={jumpToTask}
+          onClose={() => setShowCommandPalette(false)}
+        />
+      )}
+
+      {showArchive && (
+        <ArchiveDialog
+          tasks={archivedTasks}
+          purgeAfterDays={settings.purgeAfterDays}
+          now={now}
+          onRestore={restoreFromArchive}
+          onPurge={purgeArchive}
+          onPurgeAfterDaysChange={days =>
+            setSettings(prev => ({ ...prev, purgeAfterDays: normalizePurgeAfterDays(days) }))
+          }
+          onClose={() => setShowArchive(false)}
+        />
+      )}
+
+      {showConflicts && pendingConflicts.length > 0 && (
+        <ConflictDialog
+          conflicts={pendingConflicts}
+          onResolve={(conflict, choice) => resolveSyncConflicts([conflict], choice)}
+          onResolveAll={choice => resolveSyncConflicts(pendingConflicts, choice)}
+          onClose={() => setShowConflicts(false)}
+        />
+      )}
+
+      {reviewing && (
+        <ReviewDialog
+          tasks={boardTasks}
+          staleDays={settings.reviewStaleDays}
+          now={now}
+          onStaleDaysChange={days =>
+            setSettings(prev => ({ ...prev, reviewStaleDays: normalizeReviewStaleDays(days) }))
+          }
+          onDecide={applyReviewDecision}
+          onFinish={finishReview}
+        />
+      )}
+
+      {showAnalytics && (
+        <AnalyticsDialog
+          tasks={tasks}
+          moveEvents={moveEvents}
+          now={now}
+          onClose={() => setShowAnalytics(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryDialog
+          provider={syncProvider}
+          documentName={getBoardSyncName(activeBoardId)}
+          currentTasks={tasks}
+          onRestore={restoreFromHistory}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {guestProfile && !guest && isBoardLoaded && (
+        <GuestMergeDialog
+          profile={guestProfile}
+          accountBoards={boards}
+          syncing={syncStatus === "ready"}
+          onMerge={mergeGuestTasks}
+          onClose={declineGuestMerge}
+        />
+      )}
+
+      {showBoardsDialog && (
+        <BoardsDialog
+          boards={boards}
+          activeBoardId={activeBoardId}
+          onSelect={selectBoard}
+          onCreate={addBoard}
+          onRename={renameBoard}
+          onMove={moveBoardBy}
+          onArchive={archiveBoard}
+          onDelete={deleteBoard}
+          onClose={() => setShowBoardsDialog(false)}
+        />
+      )}
+
+      {showSyncSettings && (
+        <SyncSettingsDialog
+          settings={settings.sync}
+          documentName={getBoardSyncName(activeBoardId)}
+          googleAvailable={hasClientId && googleReady && !guest}
+          getGoogleAccessToken={options => ensureAccessTokenRef.current(options)}
+          onSave={saveSyncSettings}
+          onClose={() => setShowSyncSettings(false)}
+        />
+      )}
+
+      {showTransferDialog && (
+        <TransferDialog
+          tasks={tasks}
+          tombstones={tombstones}
+          onImport={importTasks}
+          onClose={() => setShowTransferDialog(false)}
+        />
+      )}
+
+      {toast && (
+        <UndoToast
+          message={toast.message}
+          onUndo={undo}
+          onDismiss={() => setToast(null)}
+        />
+      )}
     </div>
   )
 }
 
-function SignInScreen({ googleButtonRef, googleReady, hasClientId }) {
+function UndoToast({ message, onUndo, onDismiss }) {
+  return (
+    <div className="fixed inset-x-0 bottom-[calc(env(safe-area-inset-bottom)+1rem)] z-20 flex justify-center px-4">
+      <div
+        role="status"
+        className="flex items-center gap-3 rounded-full bg-gray-900 px-4 py-2 text-sm text-white shadow-lg"
+      >
+        <span>{message}</span>
+        <button
+          onClick={onUndo}
+          className="font-semibold text-amber-300 hover:text-amber-200"
+        >
+          Undo
+        </button>
+        <button
+          onClick={onDismiss}
+          className="text-gray-400 hover:text-white"
+          aria-label="Dismiss"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function BoardSwitcher({ boards, activeBoardId, onSelect, onManage }) {
+  return (
+    <div className="flex min-w-0 items-center gap-1 text-xs sm:text-sm">
+      <select
+        value={activeBoardId}
+        onChange={e => onSelect(e.target.value)}
+        className="max-w-[10rem] truncate rounded-md border border-gray-200 bg-white px-2 py-1"
+        aria-label="Board"
+      >
+        {boards.map(board => (
+          <option key={board.id} value={board.id}>
+            {board.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={onManage}
+        className="rounded-md px-1 text-gray-500 hover:text-gray-900"
+        title="Manage boards"
+        aria-label="Manage boards"
+      >
+        ⋯
+      </button>
+    </div>
+  )
+}
+
+function SignInScreen({ googleButtonRef, googleReady, hasClientId, onContinueAsGuest }) {
   return (
     <div className="min-h-[100dvh] bg-gray-50 px-4 pt-[env(safe-area-inset-top)] pb-[env(safe-area-inset-bottom)] sm:p-6">
       <div className="mx-auto flex w-full max-w-md flex-col items-center gap-4 rounded-2xl border border-gray-200 bg-white px-6 py-10 text-center shadow-sm">
         <h1 className="text-2xl font-semibold">Eisenhower Matrix</h1>
         <p className="text-sm text-gray-500">
-          Sign in with Google to access your tasks.
+          Sign in with Google to sync your tasks, or keep them on this device only.
         </p>
 
         <div className="mt-2 flex flex-col items-center gap-2">
@@ -784,6 +2333,18 @@ function SignInScreen({ googleButtonRef, googleReady, hasClientId }) {
             <span className="text-[11px] text-gray-500">Loading Google sign-in...</span>
           )}
         </div>
+
+        <div className="flex flex-col items-center gap-1 border-t border-gray-100 pt-4">
+          <button
+            onClick={onContinueAsGuest}
+            className="rounded-md border border-gray-300 px-4 py-2 text-sm hover:bg-gray-100"
+          >
+            Continue without signing in
+          </button>
+          <span className="text-[11px] text-gray-500">
+            Tasks are kept on this device. Sign in later to add them to your account.
+          </span>
+        </div>
       </div>
     </div>
   )
@@ -806,9 +2367,20 @@ function decodeJwt(token) {
 function Quadrant({
   quadrant,
   tasks,
+  hiddenCount,
+  now,
+  tagSuggestions,
+  assigneeSuggestions,
+  onTagClick,
   onAddTask,
   onToggleTask,
+  onMoveTask,
+  onShiftTask,
+  onUpdateTask,
+  onSubtasksChange,
   onDeleteTask,
+  completeParentWithSubtasks,
+  onCompleteParentChange,
 }) {
   const [input, setInput] = useState("")
 
@@ -841,10 +2413,25 @@ function Quadrant({
             <SortableTask
               key={task.id}
               task={task}
+              now={now}
+              tagSuggestions={tagSuggestions}
+              assigneeSuggestions={assigneeSuggestions}
+              onTagClick={onTagClick}
               onToggle={onToggleTask}
+              onMove={onMoveTask}
+              onShift={onShiftTask}
+              onUpdate={onUpdateTask}
+              onSubtasksChange={onSubtasksChange}
               onDelete={onDeleteTask}
+              completeParentWithSubtasks={completeParentWithSubtasks}
+              onCompleteParentChange={onCompleteParentChange}
             />
           ))}
+          {hiddenCount > 0 && (
+            <p className="px-1 text-xs text-gray-400">
+              {hiddenCount} hidden by filters
+            </p>
+          )}
         </div>
       </SortableContext>
 
@@ -864,11 +2451,32 @@ function Quadrant({
           Add
         </button>
       </div>
+      {input.trim() && (
+        <QuickAddPreview
+          parsed={parseQuickAdd(input, quadrant.id, now)}
+          fallbackQuadrant={quadrant.id}
+          now={now}
+        />
+      )}
     </div>
   )
 }
 
-function SortableTask({ task, onToggle, onDelete }) {
+function SortableTask({
+  task,
+  now,
+  tagSuggestions,
+  assigneeSuggestions,
+  onTagClick,
+  onToggle,
+  onMove,
+  onShift,
+  onUpdate,
+  onSubtasksChange,
+  onDelete,
+  completeParentWithSubtasks,
+  onCompleteParentChange,
+}) {
   const {
     attributes,
     listeners,
@@ -880,49 +2488,359 @@ function SortableTask({ task, onToggle, onDelete }) {
     data: { quadrant: task.quadrant },
   })
 
+  const [isEditing, setIsEditing] = useState(false)
+  const [draftTitle, setDraftTitle] = useState(task.title)
+  const [isExpanded, setIsExpanded] = useState(false)
+  const pointerTypeRef = useRef("mouse")
+  const cancelEditRef = useRef(false)
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
   }
 
+  const progress = getSubtaskProgress(task)
+
+  const startEditing = () => {
+    cancelEditRef.current = false
+    setDraftTitle(task.title)
+    setIsEditing(true)
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget || event.metaKey || event.ctrlKey) return
+
+    const quadrantIndex = ["1", "2", "3", "4"].indexOf(event.key)
+    let handled = true
+
+    if (quadrantIndex !== -1) {
+      onMove(task.id, QUADRANTS[quadrantIndex].id)
+    } else if (event.altKey && event.key === "ArrowUp") {
+      onShift(task.id, -1)
+    } else if (event.altKey && event.key === "ArrowDown") {
+      onShift(task.id, 1)
+    } else if (event.key === "ArrowUp" || event.key === "k") {
+      const previousId = getAdjacentTaskId(event.currentTarget, -1)
+      if (previousId) focusTaskElement(previousId)
+    } else if (event.key === "ArrowDown" || event.key === "j") {
+      const nextId = getAdjacentTaskId(event.currentTarget, 1)
+      if (nextId) focusTaskElement(nextId)
+    } else if (event.key === "x") {
+      onToggle(task.id)
+    } else if (event.key === "Enter") {
+      startEditing()
+    } else if (event.key === "Delete" || event.key === "Backspace") {
+      const neighbourId =
+        getAdjacentTaskId(event.currentTarget, 1) || getAdjacentTaskId(event.currentTarget, -1)
+      onDelete(task.id)
+      if (neighbourId) focusTaskElement(neighbourId)
+    } else {
+      handled = false
+    }
+
+    if (handled) event.preventDefault()
+  }
+
+  const commitTitle = () => {
+    setIsEditing(false)
+    if (cancelEditRef.current) return
+
+    const title = draftTitle.trim()
+    if (title && title !== task.title) {
+      onUpdate(task.id, { title })
+    }
+  }
+
   return (
     <div
       ref={setNodeRef}
       style={style}
-      className="group flex items-center gap-3 text-sm sm:text-base bg-white rounded-md px-3 py-2 border"
+      tabIndex={0}
+      data-task-id={task.id}
+      onKeyDown={handleKeyDown}
+      className="group text-sm sm:text-base bg-white rounded-md border focus:outline-none focus-visible:ring-2 focus-visible:ring-gray-400"
     >
-      <span
-        {...attributes}
-        {...listeners}
-        className="cursor-grab text-gray-400 text-lg leading-none touch-none select-none"
-        title="Drag"
-      >
-        ☰
-      </span>
-
-      <input
-        type="checkbox"
-        checked={task.completed}
-        onChange={() => onToggle(task.id)}
-        className="cursor-pointer h-4 w-4 sm:h-5 sm:w-5"
-      />
+      <div className="flex items-center gap-3 px-3 py-2">
+        <span
+          {...attributes}
+          {...listeners}
+          className="cursor-grab text-gray-400 text-lg leading-none touch-none select-none"
+          title="Drag"
+        >
+          ☰
+        </span>
 
-      <span
-        className={`flex-1 ${
-          task.completed ? "line-through text-gray-400" : ""
-        }`}
-      >
-        {task.title}
-      </span>
+        <input
+          type="checkbox"
+          checked={task.completed}
+          onChange={() => onToggle(task.id)}
+          className="cursor-pointer h-4 w-4 sm:h-5 sm:w-5"
+        />
 
-      <button
-        onClick={() => onDelete(task.id)}
-        className="opacity-100 sm:opacity-0 sm:group-hover:opacity-100 text-gray-400 hover:text-red-500 px-2 text-base"
-        title="Delete"
-        aria-label={`Delete ${task.title}`}
-      >
-        ✕
-      </button>
+        {isEditing ? (
+          <input
+            autoFocus
+            value={draftTitle}
+            onChange={e => setDraftTitle(e.target.value)}
+            onBlur={commitTitle}
+            onKeyDown={e => {
+              if (e.key === "Enter") e.currentTarget.blur()
+              if (e.key === "Escape") {
+                cancelEditRef.current = true
+                e.currentTarget.blur()
+              }
+            }}
+            className="min-w-0 flex-1 rounded border px-2 py-0.5 text-sm sm:text-base"
+            aria-label="Task title"
+          />
+        ) : (
+          <span
+            onDoubleClick={startEditing}
+            onPointerDown={e => {
+              pointerTypeRef.current = e.pointerType
+            }}
+            onClick={() => pointerTypeRef.current === "touch" && startEditing()}
+            className={`flex-1 cursor-text break-words ${
+              task.completed ? "line-through text-gray-400" : ""
+            }`}
+            title="Double-click to edit"
+          >
+            {task.title}
+          </span>
+        )}
+
+        {task.tags.length > 0 && !isEditing && (
+          <span className="flex shrink-0 flex-wrap justify-end gap-1">
+            {task.tags.map(tag => (
+              <button
+                key={tag}
+                onClick={() => onTagClick(tag)}
+                className="rounded-full bg-gray-100 px-1.5 text-[11px] text-gray-600 hover:bg-gray-200"
+                title={`Show tasks tagged #${tag}`}
+              >
+                #{tag}
+              </button>
+            ))}
+          </span>
+        )}
+
+        {progress.total > 0 && !isEditing && (
+          <span
+            className={`shrink-0 rounded-full px-1.5 text-[11px] tabular-nums ${
+              progress.done === progress.total
+                ? "bg-green-50 text-green-700"
+                : "bg-gray-100 text-gray-500"
+            }`}
+            title="Subtasks completed"
+          >
+            {progress.done}/{progress.total}
+          </span>
+        )}
+
+        {task.recurrence && !isEditing && (
+          <span
+            className="shrink-0 text-xs text-gray-400"
+            title={describeRecurrence(task.recurrence)}
+            aria-label={describeRecurrence(task.recurrence)}
+          >
+            ↻
+          </span>
+        )}
+
+        {task.assignee && !isEditing && <AssigneeBadge task={task} now={now} />}
+
+        {task.due && !isEditing && <DueBadge due={task.due} now={now} />}
+
+        <button
+          onClick={() => setIsExpanded(expanded => !expanded)}
+          className={`px-1 text-base ${
+            task.notes ? "text-gray-600" : "text-gray-300"
+          } hover:text-gray-900`}
+          title={isExpanded ? "Hide details" : "Show details"}
+          aria-label={`${isExpanded ? "Hide" : "Show"} details for ${task.title}`}
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? "▾" : "▸"}
+        </button>
+
+        <button
+          onClick={() => onDelete(task.id)}
+          className="opacity-100 sm:opacity-0 sm:group-hover:opacity-100 text-gray-400 hover:text-red-500 px-2 text-base"
+          title="Delete"
+          aria-label={`Delete ${task.title}`}
+        >
+          ✕
+        </button>
+      </div>
+
+      {isExpanded && (
+        <TaskDetails
+          task={task}
+          tagSuggestions={tagSuggestions}
+          assigneeSuggestions={assigneeSuggestions}
+          onUpdate={onUpdate}
+          onSubtasksChange={onSubtasksChange}
+          completeParentWithSubtasks={completeParentWithSubtasks}
+          onCompleteParentChange={onCompleteParentChange}
+        />
+      )}
+    </div>
+  )
+}
+
+function DueBadge({ due, now }) {
+  const status = getDueStatus(due, now)
+  const styles = {
+    overdue: "border-red-200 bg-red-50 text-red-600",
+    soon: "border-amber-200 bg-amber-50 text-amber-700",
+    upcoming: "border-gray-200 bg-gray-50 text-gray-500",
+  }
+
+  return (
+    <span
+      className={`shrink-0 whitespace-nowrap rounded-full border px-2 py-0.5 text-[11px] ${styles[status]}`}
+      title={status === "overdue" ? "Overdue" : "Due"}
+    >
+      {formatDue(due, now)}
+    </span>
+  )
+}
+
+function AssigneeBadge({ task, now }) {
+  const status = getFollowUpStatus(task, now)
+  const styles = {
+    overdue: "border-red-200 bg-red-50 text-red-600",
+    soon: "border-amber-200 bg-amber-50 text-amber-700",
+  }
+
+  return (
+    <span
+      className={`max-w-[8rem] shrink-0 truncate rounded-full border px-2 py-0.5 text-[11px] ${
+        styles[status] || "border-gray-200 bg-gray-50 text-gray-500"
+      }`}
+      title={
+        task.followUp
+          ? `Delegated to ${task.assignee} · follow up ${formatDue(task.followUp, now)}`
+          : `Delegated to ${task.assignee}`
+      }
+    >
+      → {task.assignee}
+    </span>
+  )
+}
+
+function TaskDetails({
+  task,
+  tagSuggestions,
+  assigneeSuggestions,
+  onUpdate,
+  onSubtasksChange,
+  completeParentWithSubtasks,
+  onCompleteParentChange,
+}) {
+  const [isEditingNotes, setIsEditingNotes] = useState(!task.notes)
+  const [draftNotes, setDraftNotes] = useState(task.notes)
+  const { date: dueDate, time: dueTime } = splitDue(task.due)
+
+  const saveNotes = () => {
+    setIsEditingNotes(false)
+    if (draftNotes !== task.notes) {
+      onUpdate(task.id, { notes: draftNotes })
+    }
+  }
+
+  return (
+    <div className="border-t px-3 py-2 text-left text-sm">
+      <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <span>Due</span>
+        <input
+          type="date"
+          value={dueDate}
+          onChange={e => onUpdate(task.id, { due: joinDue(e.target.value, dueTime) })}
+          className="rounded-md border px-2 py-1 text-xs text-gray-900"
+          aria-label={`Due date for ${task.title}`}
+        />
+        <input
+          type="time"
+          value={dueTime}
+          disabled={!dueDate}
+          onChange={e => onUpdate(task.id, { due: joinDue(dueDate, e.target.value) })}
+          className="rounded-md border px-2 py-1 text-xs text-gray-900 disabled:opacity-40"
+          aria-label={`Due time for ${task.title}`}
+        />
+        {task.due && (
+          <button
+            onClick={() => onUpdate(task.id, { due: "" })}
+            className="text-gray-500 hover:text-gray-900"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <RecurrenceEditor task={task} onChange={onUpdate} />
+
+      <TagEditor task={task} suggestions={tagSuggestions} onChange={onUpdate} />
+
+      <DelegationEditor task={task} suggestions={assigneeSuggestions} onChange={onUpdate} />
+
+      <p className="mb-2 text-xs text-gray-500">
+        Urgency {task.urgency} · Importance {task.importance}
+      </p>
+
+      <SubtaskList
+        task={task}
+        completeParent={completeParentWithSubtasks}
+        onChange={onSubtasksChange}
+        onCompleteParentChange={onCompleteParentChange}
+      />
+
+      {isEditingNotes ? (
+        <>
+          <textarea
+            rows={4}
+            value={draftNotes}
+            onChange={e => setDraftNotes(e.target.value)}
+            placeholder="Notes — supports **bold**, *italic*, `code`, links and lists"
+            className="w-full rounded-md border px-2 py-1 text-sm"
+            aria-label={`Notes for ${task.title}`}
+          />
+          <div className="mt-1 flex justify-end gap-2">
+            <button
+              onClick={() => {
+                setDraftNotes(task.notes)
+                setIsEditingNotes(false)
+              }}
+              className="rounded-md px-2 py-1 text-xs text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={saveNotes}
+              className="rounded-md border px-2 py-1 text-xs hover:bg-gray-100"
+            >
+              Save
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {task.notes ? (
+            <Markdown source={task.notes} className="text-gray-700" />
+          ) : (
+            <p className="text-gray-400">No notes</p>
+          )}
+          <button
+            onClick={() => {
+              setDraftNotes(task.notes)
+              setIsEditingNotes(true)
+            }}
+            className="mt-1 text-xs text-gray-500 hover:text-gray-900"
+          >
+            Edit notes
+          </button>
+        </>
+      )}
     </div>
   )
 }
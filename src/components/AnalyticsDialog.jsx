@@ -0,0 +1,274 @@
+import { useMemo, useState } from "react"
+
+import { ANALYTICS_RANGES, buildAnalytics, formatDuration } from "../lib/analytics.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const QUADRANT_COLORS = {
+  UI: "#ef4444",
+  NI: "#3b82f6",
+  UN: "#f59e0b",
+  NN: "#9ca3af",
+}
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 140
+
+const formatBucketLabel = (timestamp) =>
+  new Date(timestamp).toLocaleDateString([], { month: "short", day: "numeric" })
+
+function StackedBars({ buckets, field, title }) {
+  const totals = buckets.map(bucket =>
+    QUADRANTS.reduce((sum, q) => sum + bucket[field][q.id], 0)
+  )
+  const max = Math.max(1, ...totals)
+  const slot = CHART_WIDTH / buckets.length
+  const barWidth = Math.max(2, slot * 0.7)
+  const labelEvery = Math.ceil(buckets.length / 6)
+
+  return (
+    <figure>
+      <figcaption className="mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        {title}
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 16}`}
+        className="w-full"
+        role="img"
+        aria-label={`${title}: ${totals.reduce((a, b) => a + b, 0)} in total`}
+      >
+        <line x1="0" x2={CHART_WIDTH} y1={CHART_HEIGHT} y2={CHART_HEIGHT} stroke="#e5e7eb" />
+        {buckets.map((bucket, index) => {
+          let y = CHART_HEIGHT
+          const x = index * slot + (slot - barWidth) / 2
+          return (
+            <g key={bucket.start}>
+              <title>
+                {formatBucketLabel(bucket.start)}:{" "}
+                {QUADRANTS.map(q => `${q.subtitle} ${bucket[field][q.id]}`).join(", ")}
+              </title>
+              {QUADRANTS.map(q => {
+                const height = (bucket[field][q.id] / max) * (CHART_HEIGHT - 4)
+                y -= height
+                return height > 0 ? (
+                  <rect
+                    key={q.id}
+                    x={x}
+                    y={y}
+                    width={barWidth}
+                    height={height}
+                    fill={QUADRANT_COLORS[q.id]}
+                  />
+                ) : null
+              })}
+              {index % labelEvery === 0 && (
+                <text
+                  x={index * slot + slot / 2}
+                  y={CHART_HEIGHT + 12}
+                  textAnchor="middle"
+                  className="fill-gray-400"
+                  fontSize="10"
+                >
+                  {formatBucketLabel(bucket.start)}
+                </text>
+              )}
+            </g>
+          )
+        })}
+        <text x="2" y="10" className="fill-gray-400" fontSize="10">
+          {max}
+        </text>
+      </svg>
+    </figure>
+  )
+}
+
+function TimeToComplete({ rows }) {
+  const max = Math.max(1, ...rows.map(row => row.median))
+
+  return (
+    <figure>
+      <figcaption className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        Median time to completion
+      </figcaption>
+      <div className="space-y-1.5">
+        {rows.map(row => {
+          const quadrant = QUADRANTS.find(q => q.id === row.quadrant)
+          return (
+            <div
+              key={row.quadrant}
+              className="flex items-center gap-2 text-xs"
+              title={row.count ? `Average ${formatDuration(row.average)}` : undefined}
+            >
+              <span className="w-16 shrink-0 text-gray-600">{quadrant.subtitle}</span>
+              <div className="h-3 flex-1 rounded bg-gray-100">
+                <div
+                  className="h-3 rounded"
+                  style={{
+                    width: `${(row.median / max) * 100}%`,
+                    backgroundColor: QUADRANT_COLORS[row.quadrant],
+                  }}
+                />
+              </div>
+              <span className="w-32 shrink-0 text-right tabular-nums text-gray-500">
+                {row.count
+                  ? `${formatDuration(row.median)} · ${row.count} ${row.count === 1 ? "task" : "tasks"}`
+                  : "—"}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    </figure>
+  )
+}
+
+function MoveMatrix({ moves }) {
+  const max = Math.max(
+    1,
+    ...QUADRANTS.flatMap(from => QUADRANTS.map(to => moves[from.id][to.id]))
+  )
+
+  return (
+    <figure>
+      <figcaption className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+        Moves between quadrants
+      </figcaption>
+      <table className="w-full text-center text-xs tabular-nums">
+        <thead>
+          <tr>
+            <th className="p-1 text-left font-normal text-gray-400">from ↓ to →</th>
+            {QUADRANTS.map(q => (
+              <th key={q.id} className="p-1 font-medium text-gray-600">
+                {q.subtitle}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {QUADRANTS.map(from => (
+            <tr key={from.id}>
+              <th className="p-1 text-left font-medium text-gray-600">{from.subtitle}</th>
+              {QUADRANTS.map(to => {
+                const count = moves[from.id][to.id]
+                return (
+                  <td
+                    key={to.id}
+                    className="rounded p-1"
+                    style={{
+                      backgroundColor:
+                        from.id === to.id
+                          ? "transparent"
+                          : `rgba(17, 24, 39, ${(count / max) * 0.25})`,
+                    }}
+                  >
+                    {from.id === to.id ? "·" : count}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </figure>
+  )
+}
+
+export default function AnalyticsDialog({ tasks, moveEvents, now, onClose }) {
+  const [rangeId, setRangeId] = useState("12w")
+  const range = ANALYTICS_RANGES.find(r => r.id === rangeId)
+
+  const analytics = useMemo(
+    () => buildAnalytics(tasks, moveEvents, range, now),
+    [tasks, moveEvents, range, now]
+  )
+
+  const { totals } = analytics
+  const urgentShare = totals.completed
+    ? Math.round((totals.completedUrgentImportant / totals.completed) * 100)
+    : 0
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="analytics-dialog-title"
+        className="max-h-[90dvh] w-full max-w-3xl overflow-auto rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex flex-wrap items-center justify-between gap-2">
+          <h2 id="analytics-dialog-title" className="text-base font-semibold">
+            Insights
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="flex rounded-md border border-gray-200 bg-white p-0.5 text-xs">
+              {ANALYTICS_RANGES.map(r => (
+                <button
+                  key={r.id}
+                  onClick={() => setRangeId(r.id)}
+                  className={`rounded px-2 py-1 ${
+                    r.id === rangeId ? "bg-gray-900 text-white" : "text-gray-600 hover:text-gray-900"
+                  }`}
+                  aria-pressed={r.id === rangeId}
+                >
+                  {r.label}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={onClose}
+              className="px-1 text-base text-gray-400 hover:text-gray-900"
+              aria-label="Close"
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="mb-4 grid grid-cols-2 gap-2 sm:grid-cols-4">
+          {[
+            ["Created", totals.created],
+            ["Completed", totals.completed],
+            ["Completed in Do first", `${urgentShare}%`],
+            ["Quadrant moves", totals.moves],
+          ].map(([label, value]) => (
+            <div key={label} className="rounded-md border bg-gray-50 px-3 py-2">
+              <p className="text-lg font-semibold tabular-nums">{value}</p>
+              <p className="text-xs text-gray-500">{label}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="mb-3 flex flex-wrap gap-3 text-xs text-gray-600">
+          {QUADRANTS.map(q => (
+            <span key={q.id} className="flex items-center gap-1">
+              <span
+                className="inline-block h-2.5 w-2.5 rounded-sm"
+                style={{ backgroundColor: QUADRANT_COLORS[q.id] }}
+              />
+              {q.subtitle}
+            </span>
+          ))}
+        </div>
+
+        <div className="space-y-5">
+          <StackedBars buckets={analytics.buckets} field="created" title="Tasks created" />
+          <StackedBars buckets={analytics.buckets} field="completed" title="Tasks completed" />
+          <div className="grid gap-5 sm:grid-cols-2">
+            <TimeToComplete rows={analytics.timeToComplete} />
+            <MoveMatrix moves={analytics.moves} />
+          </div>
+        </div>
+
+        <p className="mt-4 text-xs text-gray-400">
+          Counts include archived tasks. Tasks created before this dashboard existed have no
+          creation time and are left out of the created and time-to-completion figures; quadrant
+          moves are recorded on this device only.
+        </p>
+      </div>
+    </div>
+  )
+}
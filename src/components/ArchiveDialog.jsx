@@ -0,0 +1,127 @@
+import { useMemo, useState } from "react"
+
+import { findPurgeable, groupArchiveByDay } from "../lib/archive.js"
+import { DEFAULT_FILTERS, matchesFilters } from "../lib/filters.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+export default function ArchiveDialog({
+  tasks,
+  purgeAfterDays,
+  now,
+  onRestore,
+  onPurge,
+  onPurgeAfterDaysChange,
+  onClose,
+}) {
+  const [query, setQuery] = useState("")
+
+  const groups = useMemo(() => {
+    const filters = { ...DEFAULT_FILTERS, text: query }
+    return groupArchiveByDay(
+      tasks.filter(task => matchesFilters(task, filters, now)),
+      now
+    )
+  }, [tasks, query, now])
+
+  const purgeable = findPurgeable(tasks, purgeAfterDays, now)
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="archive-dialog-title"
+        className="flex max-h-[90dvh] w-full max-w-lg flex-col rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-3 flex items-center justify-between">
+          <h2 id="archive-dialog-title" className="text-base font-semibold">
+            Archive
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              {tasks.length} completed {tasks.length === 1 ? "task" : "tasks"}
+            </span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <input
+          type="search"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          placeholder="Search the archive…"
+          className="mb-3 w-full rounded-md border px-3 py-1.5 text-sm"
+          aria-label="Search archived tasks"
+          autoFocus
+        />
+
+        <div className="min-h-0 flex-1 overflow-auto">
+          {groups.length === 0 && (
+            <p className="py-6 text-center text-xs text-gray-400">
+              {tasks.length ? "No archived tasks match." : "Cleared tasks will show up here."}
+            </p>
+          )}
+          {groups.map(group => (
+            <section key={group.day} className="mb-3">
+              <h3 className="mb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                {group.label}
+              </h3>
+              <ul className="space-y-1">
+                {group.tasks.map(task => (
+                  <li
+                    key={task.id}
+                    className="flex items-center gap-2 rounded-md border px-3 py-1.5"
+                  >
+                    <span className="min-w-0 flex-1 break-words">{task.title}</span>
+                    <span className="shrink-0 text-[11px] text-gray-400">
+                      {quadrantLabel(task.quadrant)}
+                    </span>
+                    <button
+                      onClick={() => onRestore(task.id)}
+                      className="shrink-0 rounded-md border px-2 py-0.5 text-xs hover:bg-gray-100"
+                      title={`Move back to ${quadrantLabel(task.quadrant)} as an open task`}
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </div>
+
+        <div className="mt-3 flex flex-wrap items-center gap-2 border-t pt-3 text-xs text-gray-600">
+          <label className="flex items-center gap-1">
+            Purge tasks completed more than
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={purgeAfterDays}
+              onChange={e => onPurgeAfterDaysChange(Number(e.target.value))}
+              className="w-16 rounded-md border px-2 py-1"
+            />
+            days ago
+          </label>
+          <button
+            onClick={() => onPurge(purgeable.map(task => task.id))}
+            disabled={!purgeable.length}
+            className="ml-auto rounded-md border border-red-200 px-3 py-1 text-red-600 hover:bg-red-50 disabled:opacity-40"
+          >
+            Purge {purgeable.length || ""}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
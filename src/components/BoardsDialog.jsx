@@ -0,0 +1,194 @@
+import { useState } from "react"
+
+import { getActiveBoards } from "../lib/boards.js"
+
+function BoardRow({
+  board,
+  isActive,
+  canMoveUp,
+  canMoveDown,
+  canRemove,
+  onSelect,
+  onRename,
+  onMove,
+  onArchive,
+  onDelete,
+}) {
+  const [name, setName] = useState(board.name)
+  const [confirmingDelete, setConfirmingDelete] = useState(false)
+
+  const commitName = () => {
+    if (name.trim() && name.trim() !== board.name) {
+      onRename(board.id, name)
+    } else {
+      setName(board.name)
+    }
+  }
+
+  return (
+    <li className="flex items-center gap-1 rounded-md border px-2 py-1">
+      <input
+        value={name}
+        onChange={e => setName(e.target.value)}
+        onBlur={commitName}
+        onKeyDown={e => {
+          if (e.key === "Enter") e.currentTarget.blur()
+          if (e.key === "Escape") setName(board.name)
+        }}
+        className={`min-w-0 flex-1 rounded px-1 py-0.5 ${isActive ? "font-semibold" : ""}`}
+        aria-label={`Name of board ${board.name}`}
+      />
+
+      {!board.archived && !isActive && (
+        <button
+          onClick={() => onSelect(board.id)}
+          className="rounded px-1 text-xs text-gray-500 hover:text-gray-900"
+        >
+          Open
+        </button>
+      )}
+      {!board.archived && (
+        <>
+          <button
+            onClick={() => onMove(board.id, -1)}
+            disabled={!canMoveUp}
+            className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+            aria-label={`Move ${board.name} up`}
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => onMove(board.id, 1)}
+            disabled={!canMoveDown}
+            className="px-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+            aria-label={`Move ${board.name} down`}
+          >
+            ↓
+          </button>
+        </>
+      )}
+      <button
+        onClick={() => onArchive(board.id, !board.archived)}
+        disabled={!board.archived && !canRemove}
+        className="rounded px-1 text-xs text-gray-500 hover:text-gray-900 disabled:opacity-30"
+      >
+        {board.archived ? "Restore" : "Archive"}
+      </button>
+      {confirmingDelete ? (
+        <button
+          onClick={() => onDelete(board.id)}
+          onBlur={() => setConfirmingDelete(false)}
+          autoFocus
+          className="rounded bg-red-600 px-2 py-0.5 text-xs text-white hover:bg-red-700"
+        >
+          Delete board and tasks
+        </button>
+      ) : (
+        <button
+          onClick={() => setConfirmingDelete(true)}
+          disabled={!canRemove}
+          className="px-1 text-gray-400 hover:text-red-500 disabled:opacity-30"
+          aria-label={`Delete ${board.name}`}
+        >
+          ✕
+        </button>
+      )}
+    </li>
+  )
+}
+
+export default function BoardsDialog({
+  boards,
+  activeBoardId,
+  onSelect,
+  onCreate,
+  onRename,
+  onMove,
+  onArchive,
+  onDelete,
+  onClose,
+}) {
+  const [newName, setNewName] = useState("")
+
+  const open = getActiveBoards(boards)
+  const archived = boards.filter(board => board.archived)
+
+  const renderRow = (board, index, list) => (
+    <BoardRow
+      key={`${board.id}:${board.name}`}
+      board={board}
+      isActive={board.id === activeBoardId}
+      canMoveUp={index > 0}
+      canMoveDown={index < list.length - 1}
+      canRemove={board.archived || open.length > 1}
+      onSelect={onSelect}
+      onRename={onRename}
+      onMove={onMove}
+      onArchive={onArchive}
+      onDelete={onDelete}
+    />
+  )
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="boards-dialog-title"
+        className="max-h-[90dvh] w-full max-w-md overflow-auto rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 id="boards-dialog-title" className="text-base font-semibold">
+            Boards
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <ul className="space-y-1">{open.map(renderRow)}</ul>
+
+        <form
+          className="mt-3 flex gap-2"
+          onSubmit={e => {
+            e.preventDefault()
+            if (!newName.trim()) return
+            onCreate(newName.trim())
+            setNewName("")
+          }}
+        >
+          <input
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            placeholder="New board name"
+            className="min-w-0 flex-1 rounded-md border px-2 py-1"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="rounded-md bg-gray-900 px-3 py-1 text-xs text-white hover:bg-gray-700 disabled:opacity-40"
+          >
+            Add board
+          </button>
+        </form>
+
+        {archived.length > 0 && (
+          <section className="mt-6">
+            <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              Archived
+            </h3>
+            <ul className="space-y-1 text-gray-500">{archived.map(renderRow)}</ul>
+          </section>
+        )}
+      </div>
+    </div>
+  )
+}
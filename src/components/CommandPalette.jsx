@@ -0,0 +1,160 @@
+import { useMemo, useState } from "react"
+
+import { parseQuickAdd } from "../lib/quickAdd.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const TASK_RESULT_LIMIT = 20
+
+const SHORTCUTS = [
+  ["Ctrl/⌘ K", "Command palette"],
+  ["↑ ↓ / j k", "Focus previous / next task"],
+  ["1 – 4", "Move focused task to quadrant"],
+  ["x", "Complete focused task"],
+  ["Delete", "Delete focused task"],
+  ["Alt ↑ ↓", "Move focused task up / down"],
+  ["Ctrl/⌘ Z", "Undo (Shift to redo)"],
+]
+
+const quadrantSubtitle = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+export default function CommandPalette({ tasks, actions, onAddTask, onJumpToTask, onClose }) {
+  const [query, setQuery] = useState("")
+  const [activeIndex, setActiveIndex] = useState(0)
+  const trimmed = query.trim()
+
+  const items = useMemo(() => {
+    const needle = trimmed.toLowerCase()
+
+    const taskItems = needle
+      ? tasks
+        .filter(task =>
+          `${task.title}\n${task.notes}`.toLowerCase().includes(needle)
+        )
+        .slice(0, TASK_RESULT_LIMIT)
+        .map(task => ({
+          id: `task-${task.id}`,
+          section: "Tasks",
+          label: task.title,
+          hint: `${quadrantSubtitle(task.quadrant)}${task.completed ? " · done" : ""}`,
+          run: () => onJumpToTask(task.id),
+        }))
+      : []
+
+    const actionItems = actions
+      .filter(action => !needle || action.label.toLowerCase().includes(needle))
+      .map(action => ({ ...action, section: "Actions" }))
+
+    // Urgency/importance markers in the text can send several fallbacks to
+    // the same quadrant, so offer each destination once.
+    const addItems = []
+    if (trimmed) {
+      QUADRANTS.forEach(q => {
+        const parsed = parseQuickAdd(trimmed, q.id)
+        if (!parsed.title || addItems.some(item => item.quadrant === parsed.quadrant)) return
+        const target = QUADRANTS.find(t => t.id === parsed.quadrant)
+        addItems.push({
+          id: `add-${target.id}`,
+          section: "Add task",
+          quadrant: target.id,
+          label: `Add “${parsed.title}” to ${target.subtitle}`,
+          hint: `${QUADRANTS.indexOf(target) + 1} · ${target.title}`,
+          run: () => onAddTask(trimmed, q.id),
+        })
+      })
+    }
+
+    return [...taskItems, ...actionItems, ...addItems]
+  }, [trimmed, tasks, actions, onAddTask, onJumpToTask])
+
+  const selectedIndex = Math.min(activeIndex, items.length - 1)
+
+  const runItem = (item) => {
+    if (!item) return
+    onClose()
+    item.run()
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === "ArrowDown") {
+      event.preventDefault()
+      setActiveIndex((selectedIndex + 1) % items.length)
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault()
+      setActiveIndex((selectedIndex - 1 + items.length) % items.length)
+    } else if (event.key === "Enter") {
+      event.preventDefault()
+      runItem(items[selectedIndex])
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-40 flex items-start justify-center bg-gray-900/40 p-4 pt-[12vh]"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        className="w-full max-w-lg overflow-hidden rounded-xl bg-white text-left text-sm shadow-xl"
+        onClick={e => e.stopPropagation()}
+      >
+        <input
+          autoFocus
+          value={query}
+          onChange={e => {
+            setQuery(e.target.value)
+            setActiveIndex(0)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search tasks, run an action, or type a new task…"
+          className="w-full border-b px-4 py-3 text-base focus:outline-none"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={items[selectedIndex] ? `command-${items[selectedIndex].id}` : undefined}
+        />
+
+        <ul id="command-palette-results" role="listbox" className="max-h-[50vh] overflow-auto py-1">
+          {items.map((item, index) => (
+            <li key={item.id}>
+              {(index === 0 || items[index - 1].section !== item.section) && (
+                <p className="px-4 pb-1 pt-2 text-[11px] font-semibold uppercase tracking-wide text-gray-400">
+                  {item.section}
+                </p>
+              )}
+              <button
+                id={`command-${item.id}`}
+                role="option"
+                aria-selected={index === selectedIndex}
+                onMouseMove={() => setActiveIndex(index)}
+                onClick={() => runItem(item)}
+                className={`flex w-full items-center justify-between gap-3 px-4 py-2 text-left ${
+                  index === selectedIndex ? "bg-gray-100" : ""
+                }`}
+              >
+                <span className="truncate">{item.label}</span>
+                {item.hint && <span className="shrink-0 text-xs text-gray-400">{item.hint}</span>}
+              </button>
+            </li>
+          ))}
+          {!items.length && (
+            <li className="px-4 py-3 text-gray-400">No matching tasks or actions</li>
+          )}
+        </ul>
+
+        <dl className="grid grid-cols-2 gap-x-4 gap-y-0.5 border-t bg-gray-50 px-4 py-2 text-[11px] text-gray-500">
+          {SHORTCUTS.map(([keys, description]) => (
+            <div key={keys} className="flex gap-2">
+              <dt className="font-mono text-gray-700">{keys}</dt>
+              <dd>{description}</dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+import { CONFLICT_CHOICES } from "../lib/conflicts.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+const FIELDS = [
+  { key: "title", label: "Title", format: task => task.title },
+  { key: "quadrant", label: "Quadrant", format: task => quadrantLabel(task.quadrant) },
+  { key: "completed", label: "Completed", format: task => (task.completed ? "Yes" : "No") },
+  { key: "order", label: "Position", format: task => `#${task.order + 1}` },
+]
+
+const formatEdited = (task) =>
+  task.updatedAt
+    ? new Date(task.updatedAt).toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    })
+    : "—"
+
+function VersionColumn({ title, task, changedFields }) {
+  const otherFields = changedFields.filter(field => !FIELDS.some(f => f.key === field))
+
+  return (
+    <div className="min-w-0 rounded-md border px-3 py-2">
+      <p className="mb-1 text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+        {title}
+        <span className="ml-1 font-normal normal-case tracking-normal">
+          · edited {formatEdited(task)}
+        </span>
+      </p>
+      <dl className="space-y-0.5 text-xs">
+        {FIELDS.map(field => (
+          <div key={field.key} className="flex gap-2">
+            <dt className="w-16 shrink-0 text-gray-500">{field.label}</dt>
+            <dd
+              className={`min-w-0 break-words ${
+                changedFields.includes(field.key) ? "font-semibold text-amber-700" : ""
+              }`}
+            >
+              {field.format(task)}
+            </dd>
+          </div>
+        ))}
+        {otherFields.length > 0 && (
+          <div className="flex gap-2">
+            <dt className="w-16 shrink-0 text-gray-500">Also</dt>
+            <dd className="text-amber-700">{otherFields.join(", ")}</dd>
+          </div>
+        )}
+      </dl>
+    </div>
+  )
+}
+
+export default function ConflictDialog({ conflicts, onResolve, onResolveAll, onClose }) {
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-dialog-title"
+        className="flex max-h-[90dvh] w-full max-w-2xl flex-col rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-2 flex items-center justify-between">
+          <h2 id="conflict-dialog-title" className="text-base font-semibold">
+            Sync conflicts
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              {conflicts.length} {conflicts.length === 1 ? "task" : "tasks"}
+            </span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+        <p className="mb-3 text-xs text-gray-500">
+          These tasks were changed differently on this device and in the cloud. The newer edit is
+          showing for now; pick which version to keep.
+        </p>
+
+        <div className="mb-3 flex flex-wrap gap-2 text-xs">
+          {CONFLICT_CHOICES.map(choice => (
+            <button
+              key={choice.id}
+              onClick={() => onResolveAll(choice.id)}
+              className="rounded-md border px-3 py-1 hover:bg-gray-100"
+            >
+              {choice.label} for all
+            </button>
+          ))}
+        </div>
+
+        <ul className="min-h-0 flex-1 space-y-3 overflow-auto">
+          {conflicts.map(conflict => (
+            <li key={conflict.id} className="rounded-lg border bg-gray-50 p-2">
+              <div className="grid gap-2 sm:grid-cols-2">
+                <VersionColumn
+                  title="This device"
+                  task={conflict.local}
+                  changedFields={conflict.fields}
+                />
+                <VersionColumn
+                  title="Cloud"
+                  task={conflict.remote}
+                  changedFields={conflict.fields}
+                />
+              </div>
+              <div className="mt-2 flex flex-wrap justify-end gap-2 text-xs">
+                {CONFLICT_CHOICES.map(choice => (
+                  <button
+                    key={choice.id}
+                    onClick={() => onResolve(conflict, choice.id)}
+                    className="rounded-md border bg-white px-3 py-1 hover:bg-gray-100"
+                  >
+                    {choice.label}
+                  </button>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
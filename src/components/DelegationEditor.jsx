@@ -0,0 +1,59 @@
+import { useState } from "react"
+
+import { buildHandoffMailto, normalizeAssignee } from "../lib/delegation.js"
+
+export default function DelegationEditor({ task, suggestions, onChange }) {
+  const [draft, setDraft] = useState(task.assignee)
+
+  const commitAssignee = () => {
+    const assignee = normalizeAssignee(draft)
+    setDraft(assignee)
+    if (assignee === task.assignee) return
+    onChange(task.id, assignee ? { assignee } : { assignee: "", followUp: "" })
+  }
+
+  const listId = `assignee-suggestions-${task.id}`
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+      <span>Delegated to</span>
+      <input
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={commitAssignee}
+        onKeyDown={e => {
+          if (e.key === "Enter") e.currentTarget.blur()
+          if (e.key === "Escape") setDraft(task.assignee)
+        }}
+        list={listId}
+        placeholder="Name or email"
+        className="w-36 rounded-md border px-2 py-1 text-xs text-gray-900"
+        aria-label={`Assignee for ${task.title}`}
+      />
+      <datalist id={listId}>
+        {suggestions.map(name => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+
+      {task.assignee && (
+        <>
+          <span>Follow up</span>
+          <input
+            type="date"
+            value={task.followUp}
+            onChange={e => onChange(task.id, { followUp: e.target.value })}
+            className="rounded-md border px-2 py-1 text-xs text-gray-900"
+            aria-label={`Follow-up date for ${task.title}`}
+          />
+          <a
+            href={buildHandoffMailto(task)}
+            className="rounded-md border px-2 py-1 text-gray-700 hover:bg-gray-100"
+          >
+            Email handoff
+          </a>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,133 @@
+import { formatDue } from "../lib/dates.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+export default function EscalationPanel({
+  escalations,
+  promotions,
+  settings,
+  now,
+  onPromote,
+  onDismiss,
+  onRevert,
+  onSettingsChange,
+  onClose,
+}) {
+  return (
+    <section className="mb-4 rounded-xl border border-amber-200 bg-amber-50/60 p-3 text-left text-sm sm:p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="font-semibold">Due soon</h2>
+
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+          <select
+            value={settings.mode}
+            onChange={e => onSettingsChange({ mode: e.target.value })}
+            className="rounded-md border bg-white px-2 py-1"
+            aria-label="Promotion mode"
+          >
+            <option value="off">Don't promote</option>
+            <option value="suggest">Suggest promotions</option>
+            <option value="auto">Promote automatically</option>
+          </select>
+          <label className="flex items-center gap-1">
+            within
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={settings.thresholdDays}
+              onChange={e => onSettingsChange({ thresholdDays: Number(e.target.value) })}
+              className="w-14 rounded-md border bg-white px-2 py-1"
+            />
+            days
+          </label>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close due soon panel"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {escalations.length > 0 ? (
+        <div className="mt-3 space-y-2">
+          {escalations.map(({ task, to }) => (
+            <div
+              key={task.id}
+              className="flex flex-wrap items-center gap-2 rounded-md border border-amber-100 bg-white px-3 py-2"
+            >
+              <span className="flex-1 break-words">{task.title}</span>
+              <span className="text-xs text-gray-500">
+                {formatDue(task.due, now)} · {quadrantLabel(task.quadrant)} → {quadrantLabel(to)}
+              </span>
+              <button
+                onClick={() => onPromote([{ task, to }])}
+                className="rounded-md border px-2 py-1 text-xs hover:bg-gray-100"
+              >
+                Promote
+              </button>
+              <button
+                onClick={() => onDismiss(task)}
+                className="px-1 text-xs text-gray-500 hover:text-gray-900"
+              >
+                Dismiss
+              </button>
+            </div>
+          ))}
+          {escalations.length > 1 && (
+            <button
+              onClick={() => onPromote(escalations)}
+              className="rounded-md border border-amber-300 bg-white px-3 py-1 text-xs hover:bg-amber-100"
+            >
+              Promote all
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="mt-2 text-xs text-gray-500">
+          No scheduled or eliminate tasks are due within {settings.thresholdDays} days.
+        </p>
+      )}
+
+      {promotions.length > 0 && (
+        <div className="mt-4">
+          <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Recent promotions
+          </h3>
+          <ul className="mt-1 max-h-40 space-y-1 overflow-auto text-xs">
+            {promotions.map(entry => (
+              <li key={entry.id} className="flex items-center gap-2">
+                <span className="flex-1 break-words text-gray-700">
+                  {entry.title}: {quadrantLabel(entry.from)} → {quadrantLabel(entry.to)}
+                  <span className="text-gray-400">
+                    {" "}
+                    · {entry.auto ? "auto" : "manual"},{" "}
+                    {new Date(entry.at).toLocaleString([], {
+                      month: "short",
+                      day: "numeric",
+                      hour: "numeric",
+                      minute: "2-digit",
+                    })}
+                  </span>
+                </span>
+                {entry.revertedAt ? (
+                  <span className="text-gray-400">Reverted</span>
+                ) : (
+                  <button
+                    onClick={() => onRevert(entry)}
+                    className="text-gray-500 underline hover:text-gray-900"
+                  >
+                    Revert
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,94 @@
+import { DEFAULT_FILTERS, DUE_FILTERS, STATUS_FILTERS, isFiltering } from "../lib/filters.js"
+
+export default function FilterBar({ filters, tags, visibleCount, totalCount, onChange }) {
+  const update = (patch) => onChange({ ...filters, ...patch })
+
+  const toggleTag = (tag) =>
+    update({
+      tags: filters.tags.includes(tag)
+        ? filters.tags.filter(t => t !== tag)
+        : [...filters.tags, tag],
+    })
+
+  const active = isFiltering(filters)
+  const unselectedTags = tags.filter(tag => !filters.tags.includes(tag))
+
+  return (
+    <section className="mb-4 rounded-xl border border-gray-200 bg-white p-3 text-left text-xs sm:text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={filters.text}
+          onChange={e => update({ text: e.target.value })}
+          onKeyDown={e => e.key === "Escape" && update({ text: "" })}
+          placeholder="Filter tasks…"
+          className="min-w-0 flex-1 rounded-md border px-3 py-1.5"
+          aria-label="Filter tasks by text"
+        />
+        <select
+          value={filters.status}
+          onChange={e => update({ status: e.target.value })}
+          className="rounded-md border bg-white px-2 py-1.5"
+          aria-label="Filter by completion"
+        >
+          {STATUS_FILTERS.map(f => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.due}
+          onChange={e => update({ due: e.target.value })}
+          className="rounded-md border bg-white px-2 py-1.5"
+          aria-label="Filter by due date"
+        >
+          {DUE_FILTERS.map(f => (
+            <option key={f.id} value={f.id}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+        {active && (
+          <button
+            onClick={() => onChange(DEFAULT_FILTERS)}
+            className="rounded-md px-2 py-1.5 text-gray-600 hover:bg-gray-100"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {(tags.length > 0 || active) && (
+        <div className="mt-2 flex flex-wrap items-center gap-1">
+          {filters.tags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className="rounded-full bg-gray-900 px-2 py-0.5 text-[11px] text-white"
+              aria-pressed="true"
+              title="Remove tag filter"
+            >
+              #{tag} ✕
+            </button>
+          ))}
+          {unselectedTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className="rounded-full bg-gray-100 px-2 py-0.5 text-[11px] text-gray-600 hover:bg-gray-200"
+              aria-pressed="false"
+            >
+              #{tag}
+            </button>
+          ))}
+          {active && (
+            <span className="ml-auto text-gray-500">
+              Showing {visibleCount} of {totalCount}
+            </span>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
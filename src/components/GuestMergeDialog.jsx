@@ -0,0 +1,63 @@
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`
+
+export default function GuestMergeDialog({ profile, accountBoards, syncing, onMerge, onClose }) {
+  const accountBoardName = (id) => accountBoards.find(board => board.id === id)?.name
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="guest-merge-dialog-title"
+        className="w-full max-w-md rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-2 flex items-center justify-between">
+          <h2 id="guest-merge-dialog-title" className="text-base font-semibold">
+            Bring over your guest tasks?
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+        <p className="mb-3 text-xs text-gray-500">
+          You added {plural(profile.taskCount, "task")} on this device without signing in. Add them
+          to this account to keep them in one place
+          {syncing ? " and sync them to your other devices" : ""}.
+        </p>
+
+        <ul className="mb-4 space-y-1 text-xs">
+          {profile.boards.map(({ board, tasks }) => (
+            <li key={board.id} className="flex justify-between gap-2 rounded-md border px-3 py-1.5">
+              <span className="min-w-0 truncate">
+                <span className="font-medium">{board.name}</span> · {plural(tasks.length, "task")}
+              </span>
+              <span className="shrink-0 text-gray-500">
+                {accountBoardName(board.id) ? `into ${accountBoardName(board.id)}` : "as a new board"}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-md border px-3 py-1.5 hover:bg-gray-100">
+            Not now
+          </button>
+          <button
+            onClick={onMerge}
+            className="rounded-md bg-gray-900 px-3 py-1.5 text-white hover:bg-gray-700"
+          >
+            Add to my account
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,206 @@
+import { useEffect, useState } from "react"
+
+import { parseSyncPayload } from "../lib/payload.js"
+import { getSnapshotTierLabel } from "../lib/snapshots.js"
+import { QUADRANTS, compareTasks } from "../lib/tasks.js"
+
+const PREVIEW_TASK_LIMIT = 8
+
+const formatTakenAt = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  })
+
+const plural = (count, word) => `${count} ${count === 1 ? word : `${word}s`}`
+
+const withoutTimestamp = (task) => JSON.stringify({ ...task, updatedAt: 0 })
+
+// What restoring `snapshot` would do to the board as it is now.
+const describeRestore = (current, snapshot) => {
+  const currentById = new Map(current.map(task => [task.id, task]))
+  const snapshotIds = new Set(snapshot.map(task => task.id))
+
+  return {
+    added: snapshot.filter(task => !currentById.has(task.id)).length,
+    removed: current.filter(task => !snapshotIds.has(task.id)).length,
+    changed: snapshot.filter(task => {
+      const existing = currentById.get(task.id)
+      return existing && withoutTimestamp(existing) !== withoutTimestamp(task)
+    }).length,
+  }
+}
+
+function SnapshotPreview({ preview, currentTasks, onRestore }) {
+  if (preview.status === "loading") {
+    return <p className="text-gray-400">Loading this version…</p>
+  }
+  if (preview.status === "error") {
+    return <p className="text-red-500">{preview.message}</p>
+  }
+
+  const { tasks } = preview
+  const open = tasks.filter(task => !task.completed)
+  const changes = describeRestore(currentTasks, tasks)
+  const unchanged = !changes.added && !changes.removed && !changes.changed
+
+  return (
+    <div className="space-y-3">
+      <p className="text-gray-600">
+        {plural(tasks.length, "task")}, {open.length} open.{" "}
+        {unchanged
+          ? "Same as the board now."
+          : `Restoring brings back ${changes.added}, removes ${changes.removed} and changes ${changes.changed}.`}
+      </p>
+
+      {QUADRANTS.map(q => {
+        const inQuadrant = open.filter(task => task.quadrant === q.id).sort(compareTasks)
+        if (!inQuadrant.length) return null
+        return (
+          <div key={q.id}>
+            <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-500">
+              {q.subtitle} · {inQuadrant.length}
+            </p>
+            <ul className="mt-0.5 space-y-0.5">
+              {inQuadrant.slice(0, PREVIEW_TASK_LIMIT).map(task => (
+                <li key={task.id} className="truncate">{task.title}</li>
+              ))}
+              {inQuadrant.length > PREVIEW_TASK_LIMIT && (
+                <li className="text-gray-400">
+                  …and {inQuadrant.length - PREVIEW_TASK_LIMIT} more
+                </li>
+              )}
+            </ul>
+          </div>
+        )
+      })}
+
+      <button
+        onClick={() => onRestore(tasks)}
+        disabled={unchanged}
+        className="rounded-md border px-3 py-1.5 hover:bg-gray-100 disabled:opacity-40"
+      >
+        Restore this version
+      </button>
+    </div>
+  )
+}
+
+export default function HistoryDialog({ provider, documentName, currentTasks, onRestore, onClose }) {
+  const [snapshots, setSnapshots] = useState({ status: "loading" })
+  const [selectedId, setSelectedId] = useState(null)
+  const [preview, setPreview] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    provider
+      .listBackups(documentName)
+      .then(list => {
+        if (!cancelled) setSnapshots({ status: "ok", list })
+      })
+      .catch(err => {
+        if (cancelled) return
+        setSnapshots({
+          status: "error",
+          message: err instanceof Error ? err.message : "Couldn't load the history.",
+        })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [provider, documentName])
+
+  const selectSnapshot = async (id) => {
+    setSelectedId(id)
+    setPreview({ status: "loading", id })
+
+    // Only the copy picked last may replace the preview.
+    const show = next => setPreview(current => (current?.id === id ? { ...next, id } : current))
+    try {
+      const data = await provider.readBackup(documentName, id)
+      show({ status: "ok", tasks: parseSyncPayload(data).tasks })
+    } catch (err) {
+      show({
+        status: "error",
+        message: err instanceof Error ? err.message : "Couldn't load this version.",
+      })
+    }
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-dialog-title"
+        className="flex max-h-[90dvh] w-full max-w-2xl flex-col rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-2 flex items-center justify-between">
+          <h2 id="history-dialog-title" className="text-base font-semibold">History</h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+        <p className="mb-3 text-xs text-gray-500">
+          Saved copies of this board in the cloud. Restoring one replaces the board on every
+          device, and can be undone.
+        </p>
+
+        {snapshots.status === "loading" && <p className="text-gray-400">Loading history…</p>}
+        {snapshots.status === "error" && <p className="text-red-500">{snapshots.message}</p>}
+        {snapshots.status === "ok" && !snapshots.list.length && (
+          <p className="text-gray-400">No saved copies yet. They are taken as the board syncs.</p>
+        )}
+
+        {snapshots.status === "ok" && snapshots.list.length > 0 && (
+          <div className="grid min-h-0 flex-1 gap-4 sm:grid-cols-[14rem_1fr]">
+            <ul className="max-h-[30dvh] space-y-1 overflow-auto sm:max-h-none">
+              {snapshots.list.map(snapshot => (
+                <li key={snapshot.id}>
+                  <button
+                    onClick={() => selectSnapshot(snapshot.id)}
+                    className={`w-full rounded-md border px-2 py-1.5 text-left text-xs ${
+                      snapshot.id === selectedId ? "border-gray-900 bg-gray-100" : "hover:bg-gray-50"
+                    }`}
+                    aria-pressed={snapshot.id === selectedId}
+                  >
+                    <span className="block font-medium">{formatTakenAt(snapshot.modifiedAt)}</span>
+                    <span className="text-gray-500">
+                      {getSnapshotTierLabel(snapshot.tier)}
+                      {snapshot.count !== null && snapshot.count !== undefined
+                        ? ` · ${plural(snapshot.count, "task")}`
+                        : ""}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="min-h-0 overflow-auto text-xs sm:text-sm">
+              {preview ? (
+                <SnapshotPreview
+                  preview={preview}
+                  currentTasks={currentTasks}
+                  onRestore={onRestore}
+                />
+              ) : (
+                <p className="text-gray-400">Pick a saved copy to preview it.</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,137 @@
+const INLINE_PATTERN =
+  /(\*\*[^*]+\*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|https?:\/\/[^\s<]*[^\s<.,:;"')\]]|\*[^*\s][^*]*\*|_[^_\s][^_]*_)/g
+
+const SAFE_URL = /^(https?:|mailto:)/i
+
+const renderLink = (href, label, key) =>
+  SAFE_URL.test(href) ? (
+    <a
+      key={key}
+      href={href}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="text-blue-600 underline break-all hover:text-blue-800"
+    >
+      {label}
+    </a>
+  ) : (
+    label
+  )
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = []
+  let lastIndex = 0
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [token] = match
+    const key = `${keyPrefix}-${match.index}`
+    if (match.index > lastIndex) nodes.push(text.slice(lastIndex, match.index))
+
+    if (token.startsWith("**")) {
+      nodes.push(<strong key={key}>{token.slice(2, -2)}</strong>)
+    } else if (token.startsWith("`")) {
+      nodes.push(
+        <code key={key} className="rounded bg-gray-100 px-1 text-[0.9em]">
+          {token.slice(1, -1)}
+        </code>
+      )
+    } else if (token.startsWith("[")) {
+      const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/)
+      nodes.push(renderLink(href, label, key))
+    } else if (token.startsWith("http")) {
+      nodes.push(renderLink(token, token, key))
+    } else {
+      nodes.push(<em key={key}>{token.slice(1, -1)}</em>)
+    }
+
+    lastIndex = match.index + token.length
+  }
+
+  if (lastIndex < text.length) nodes.push(text.slice(lastIndex))
+  return nodes
+}
+
+const parseBlocks = (source) => {
+  const blocks = []
+  let current = null
+
+  source.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^(#{1,3})\s+(.*)$/)
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/)
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/)
+
+    if (!line.trim()) {
+      current = null
+    } else if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2] })
+      current = null
+    } else if (bullet || numbered) {
+      const type = bullet ? "ul" : "ol"
+      if (current?.type !== type) {
+        current = { type, items: [] }
+        blocks.push(current)
+      }
+      current.items.push((bullet || numbered)[1])
+    } else if (current?.type === "p") {
+      current.lines.push(line)
+    } else {
+      current = { type: "p", lines: [line] }
+      blocks.push(current)
+    }
+  })
+
+  return blocks
+}
+
+const HEADING_CLASSES = {
+  1: "text-base font-semibold",
+  2: "text-sm font-semibold",
+  3: "text-sm font-medium",
+}
+
+export default function Markdown({ source, className = "" }) {
+  const blocks = parseBlocks(source || "")
+
+  return (
+    <div className={`space-y-2 break-words ${className}`}>
+      {blocks.map((block, index) => {
+        const key = `block-${index}`
+
+        if (block.type === "heading") {
+          return (
+            <p key={key} className={HEADING_CLASSES[block.level]}>
+              {renderInline(block.text, key)}
+            </p>
+          )
+        }
+
+        if (block.type === "ul" || block.type === "ol") {
+          const List = block.type
+          return (
+            <List
+              key={key}
+              className={`space-y-1 pl-5 ${block.type === "ul" ? "list-disc" : "list-decimal"}`}
+            >
+              {block.items.map((item, itemIndex) => (
+                <li key={`${key}-${itemIndex}`}>
+                  {renderInline(item, `${key}-${itemIndex}`)}
+                </li>
+              ))}
+            </List>
+          )
+        }
+
+        return (
+          <p key={key}>
+            {block.lines.map((line, lineIndex) => (
+              <span key={`${key}-${lineIndex}`}>
+                {lineIndex > 0 && <br />}
+                {renderInline(line, `${key}-${lineIndex}`)}
+              </span>
+            ))}
+          </p>
+        )
+      })}
+    </div>
+  )
+}
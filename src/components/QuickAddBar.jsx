@@ -0,0 +1,46 @@
+import { useState } from "react"
+
+import { parseQuickAdd } from "../lib/quickAdd.js"
+import QuickAddPreview from "./QuickAddPreview.jsx"
+
+// Unmarked tasks land in "Do first", like tasks with no quadrant on import.
+const FALLBACK_QUADRANT = "UI"
+
+export default function QuickAddBar({ now, onAddTask }) {
+  const [input, setInput] = useState("")
+  const parsed = parseQuickAdd(input, FALLBACK_QUADRANT, now)
+
+  const handleAdd = () => {
+    if (!parsed.title) return
+    onAddTask(input, FALLBACK_QUADRANT)
+    setInput("")
+  }
+
+  return (
+    <section className="mb-4 rounded-xl border border-gray-200 bg-white p-3 text-xs sm:text-sm">
+      <div className="flex gap-2">
+        <input
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onKeyDown={e => {
+            if (e.key === "Enter") handleAdd()
+            if (e.key === "Escape") setInput("")
+          }}
+          placeholder="Quick add: Send invoice fri 5pm #finance !urgent !important @dana"
+          className="min-w-0 flex-1 rounded-md border px-3 py-1.5"
+          aria-label="Quick add a task"
+        />
+        <button
+          onClick={handleAdd}
+          disabled={!parsed.title}
+          className="rounded-md border px-3 py-1.5 hover:bg-gray-100 disabled:opacity-40"
+        >
+          Add
+        </button>
+      </div>
+      {input.trim() && (
+        <QuickAddPreview parsed={parsed} fallbackQuadrant={null} now={now} />
+      )}
+    </section>
+  )
+}
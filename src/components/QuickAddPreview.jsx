@@ -0,0 +1,43 @@
+import { formatDue } from "../lib/dates.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+/**
+ * Shows what quick-add text will create. Without a `fallbackQuadrant` the
+ * target quadrant is always shown, since the input doesn't belong to one.
+ */
+export default function QuickAddPreview({ parsed, fallbackQuadrant, now }) {
+  if (!parsed.matches.length && fallbackQuadrant) return null
+
+  return (
+    <div
+      className="mt-1 flex flex-wrap items-center gap-1 text-left text-[11px] text-gray-500"
+      aria-live="polite"
+    >
+      <span className="min-w-0 truncate font-medium text-gray-700">
+        {parsed.title || <span className="italic text-gray-400">No title yet</span>}
+      </span>
+      {parsed.quadrant !== fallbackQuadrant && (
+        <span className="rounded-full bg-gray-900 px-2 py-0.5 text-white">
+          → {quadrantLabel(parsed.quadrant)}
+        </span>
+      )}
+      {parsed.due && (
+        <span className="rounded-full border border-gray-200 bg-gray-50 px-2 py-0.5">
+          Due {formatDue(parsed.due, now)}
+        </span>
+      )}
+      {parsed.tags.map(tag => (
+        <span key={tag} className="rounded-full bg-gray-100 px-2 py-0.5 text-gray-600">
+          #{tag}
+        </span>
+      ))}
+      {parsed.assignee && (
+        <span className="rounded-full border border-gray-200 bg-gray-50 px-2 py-0.5">
+          Delegated to {parsed.assignee}
+        </span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,84 @@
+import { WEEKDAY_LABELS } from "../lib/recurrence.js"
+
+const OPTIONS = [
+  { value: "", label: "Does not repeat" },
+  { value: "daily", label: "Daily" },
+  { value: "weekdays", label: "Every weekday" },
+  { value: "weekly", label: "Weekly" },
+  { value: "monthly", label: "Monthly" },
+  { value: "interval", label: "Every N days" },
+]
+
+export default function RecurrenceEditor({ task, onChange }) {
+  const { recurrence } = task
+
+  const update = (patch) => {
+    onChange(task.id, { recurrence: { days: [], interval: 1, ...recurrence, ...patch } })
+  }
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-2 text-xs text-gray-500">
+      <span>Repeat</span>
+      <select
+        value={recurrence?.freq || ""}
+        onChange={e =>
+          e.target.value
+            ? update({ freq: e.target.value })
+            : onChange(task.id, { recurrence: null })
+        }
+        className="rounded-md border bg-white px-2 py-1 text-xs text-gray-900"
+        aria-label={`Repeat ${task.title}`}
+      >
+        {OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {recurrence?.freq === "weekly" && (
+        <div className="flex gap-0.5">
+          {WEEKDAY_LABELS.map((label, day) => {
+            const isSelected = recurrence.days.includes(day)
+            return (
+              <button
+                key={label}
+                onClick={() =>
+                  update({
+                    days: isSelected
+                      ? recurrence.days.filter(d => d !== day)
+                      : [...recurrence.days, day],
+                  })
+                }
+                className={`h-6 w-6 rounded-full text-[11px] ${
+                  isSelected ? "bg-gray-900 text-white" : "border text-gray-600 hover:bg-gray-100"
+                }`}
+                aria-pressed={isSelected}
+                aria-label={label}
+              >
+                {label[0]}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {recurrence?.freq === "interval" && (
+        <label className="flex items-center gap-1">
+          every
+          <input
+            type="number"
+            min="1"
+            value={recurrence.interval}
+            onChange={e => {
+              const interval = Math.floor(Number(e.target.value))
+              if (interval > 0) update({ interval })
+            }}
+            className="w-14 rounded-md border px-2 py-1 text-xs text-gray-900"
+          />
+          days
+        </label>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,329 @@
+import { useEffect, useState } from "react"
+
+import { formatDue } from "../lib/dates.js"
+import { REVIEW_ACTIONS, buildReviewQueue, isStale } from "../lib/review.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+const describeAction = (action) => {
+  if (action.type === "move") return `Moved to ${quadrantLabel(action.quadrant)}`
+  if (action.type === "keep") return "Kept"
+  if (action.type === "complete") return "Completed"
+  if (action.type === "snooze") return "Snoozed"
+  return "Deleted"
+}
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+
+function ReviewIntro({ tasks, staleDays, now, onStaleDaysChange, onStart }) {
+  const [staleOnly, setStaleOnly] = useState(false)
+  const queue = buildReviewQueue(tasks, { staleDays, staleOnly }, now)
+  const queued = new Set(queue)
+
+  return (
+    <>
+      <p className="mb-3 text-gray-600">
+        Walk through each quadrant one task at a time and decide what to do with it. Everything
+        you change can be undone in one step at the end.
+      </p>
+      <ul className="mb-4 grid grid-cols-2 gap-2">
+        {QUADRANTS.map(q => {
+          const quadrantTasks = tasks.filter(t => t.quadrant === q.id && queued.has(t.id))
+          const stale = quadrantTasks.filter(t => isStale(t, staleDays, now)).length
+          return (
+            <li key={q.id} className="rounded-md border bg-gray-50 px-3 py-2">
+              <p className="font-medium">{q.subtitle}</p>
+              <p className="text-xs text-gray-500">
+                {quadrantTasks.length} to review{stale ? ` · ${stale} untouched` : ""}
+              </p>
+            </li>
+          )
+        })}
+      </ul>
+      <div className="mb-4 space-y-2 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          Flag tasks untouched for more than
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={staleDays}
+            onChange={e => onStaleDaysChange(Number(e.target.value))}
+            className="w-16 rounded-md border px-2 py-1"
+          />
+          days
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={staleOnly}
+            onChange={e => setStaleOnly(e.target.checked)}
+          />
+          Only review flagged tasks
+        </label>
+      </div>
+      <div className="flex justify-end">
+        <button
+          onClick={() => onStart(queue)}
+          disabled={!queue.length}
+          autoFocus
+          className="rounded-md bg-gray-900 px-4 py-1.5 text-white hover:bg-gray-700 disabled:opacity-40"
+        >
+          Start review
+        </button>
+      </div>
+    </>
+  )
+}
+
+function ReviewStep({ task, position, total, staleDays, now, onDecide }) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.metaKey || event.ctrlKey || event.altKey || isTypingTarget(event.target)) return
+
+      const quadrantIndex = ["1", "2", "3", "4"].indexOf(event.key)
+      let action = null
+
+      if (quadrantIndex !== -1) {
+        const quadrant = QUADRANTS[quadrantIndex].id
+        action = quadrant === task.quadrant ? { type: "keep" } : { type: "move", quadrant }
+      } else if (event.key === "k" || event.key === "Enter") {
+        action = { type: "keep" }
+      } else if (event.key === "x") {
+        action = { type: "complete" }
+      } else if (event.key === "s") {
+        action = { type: "snooze" }
+      } else if (event.key === "Delete" || event.key === "Backspace") {
+        action = { type: "delete" }
+      }
+
+      if (!action) return
+      event.preventDefault()
+      onDecide(action)
+    }
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [task, onDecide])
+
+  const stale = isStale(task, staleDays, now)
+  const idleDays = Math.floor((now - task.updatedAt) / DAY_MS)
+
+  return (
+    <>
+      <div className="mb-2 flex items-center justify-between text-xs text-gray-500">
+        <span>{quadrantLabel(task.quadrant)}</span>
+        <span>
+          {position} of {total}
+        </span>
+      </div>
+      <div className="mb-1 h-1 rounded bg-gray-100">
+        <div
+          className="h-1 rounded bg-gray-900"
+          style={{ width: `${((position - 1) / total) * 100}%` }}
+        />
+      </div>
+
+      <div className="my-4 rounded-lg border px-4 py-3">
+        <p className="break-words text-base font-medium">{task.title}</p>
+        <div className="mt-1 flex flex-wrap gap-2 text-xs text-gray-500">
+          {task.due && <span>Due {formatDue(task.due, now)}</span>}
+          {task.tags.map(tag => (
+            <span key={tag}>#{tag}</span>
+          ))}
+          {stale && (
+            <span className="rounded-full bg-amber-100 px-2 text-amber-800">
+              Untouched for {idleDays} days
+            </span>
+          )}
+        </div>
+        {task.notes && (
+          <p className="mt-2 line-clamp-3 whitespace-pre-wrap text-xs text-gray-600">
+            {task.notes}
+          </p>
+        )}
+      </div>
+
+      <div className="mb-2 flex flex-wrap gap-2">
+        {REVIEW_ACTIONS.map(action => (
+          <button
+            key={action.id}
+            onClick={() => onDecide({ type: action.id })}
+            className={`rounded-md border px-3 py-1 text-xs hover:bg-gray-100 ${
+              action.id === "delete" ? "border-red-200 text-red-600 hover:bg-red-50" : ""
+            }`}
+          >
+            {action.label}{" "}
+            <kbd className="ml-1 text-[10px] text-gray-400">
+              {action.key === "Delete" ? "Del" : action.key}
+            </kbd>
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        Move to
+        {QUADRANTS.map((q, index) =>
+          q.id === task.quadrant ? null : (
+            <button
+              key={q.id}
+              onClick={() => onDecide({ type: "move", quadrant: q.id })}
+              className="rounded-md border px-2 py-1 text-gray-700 hover:bg-gray-100"
+            >
+              {q.subtitle} <kbd className="ml-1 text-[10px] text-gray-400">{index + 1}</kbd>
+            </button>
+          )
+        )}
+      </div>
+    </>
+  )
+}
+
+function ReviewSummary({ log, onUndo, onDone }) {
+  const counts = log.reduce((acc, entry) => {
+    const label = entry.action.type === "move" ? "Moved" : describeAction(entry.action)
+    acc[label] = (acc[label] || 0) + 1
+    return acc
+  }, {})
+
+  return (
+    <>
+      <p className="mb-3 text-gray-600">
+        {log.length
+          ? Object.entries(counts)
+            .map(([label, count]) => `${label} ${count}`)
+            .join(" · ")
+          : "Nothing changed."}
+      </p>
+      {log.length > 0 && (
+        <ul className="mb-4 max-h-64 space-y-1 overflow-auto">
+          {log.map(entry => (
+            <li
+              key={entry.taskId}
+              className="flex items-center gap-2 rounded-md border px-3 py-1.5 text-xs"
+            >
+              <span className="min-w-0 flex-1 break-words">{entry.title}</span>
+              <span className="shrink-0 text-gray-500">{describeAction(entry.action)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        {log.length > 0 && (
+          <button
+            onClick={onUndo}
+            className="rounded-md border px-3 py-1.5 text-xs hover:bg-gray-100"
+          >
+            Undo review
+          </button>
+        )}
+        <button
+          onClick={onDone}
+          autoFocus
+          className="rounded-md bg-gray-900 px-4 py-1.5 text-xs text-white hover:bg-gray-700"
+        >
+          Done
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default function ReviewDialog({
+  tasks,
+  staleDays,
+  now,
+  onStaleDaysChange,
+  onDecide,
+  onFinish,
+}) {
+  const [queue, setQueue] = useState(null)
+  const [position, setPosition] = useState(0)
+  const [log, setLog] = useState([])
+
+  // Tasks removed elsewhere mid-review (another tab, a sync) are skipped.
+  const remaining = queue ? queue.slice(position).filter(id => tasks.some(t => t.id === id)) : []
+  const task = tasks.find(t => t.id === remaining[0])
+  const finished = queue !== null && !task
+
+  const decide = (action) => {
+    onDecide(task.id, action)
+    setLog(prev => [...prev, { taskId: task.id, title: task.title, action }])
+    setPosition(queue.indexOf(task.id) + 1)
+  }
+
+  const finish = () => onFinish({ changed: log.length > 0, undo: false })
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== "Escape") return
+      if (queue && !finished && log.length) {
+        setPosition(queue.length)
+      } else {
+        onFinish({ changed: log.length > 0, undo: false })
+      }
+    }
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [queue, finished, log, onFinish])
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={finish}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="review-dialog-title"
+        className="max-h-[90dvh] w-full max-w-lg overflow-auto rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 id="review-dialog-title" className="text-base font-semibold">
+            {finished ? "Review summary" : "Weekly review"}
+          </h2>
+          <button
+            onClick={finish}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {queue === null && (
+          <ReviewIntro
+            tasks={tasks}
+            staleDays={staleDays}
+            now={now}
+            onStaleDaysChange={onStaleDaysChange}
+            onStart={ids => setQueue(ids)}
+          />
+        )}
+        {task && (
+          <ReviewStep
+            task={task}
+            position={queue.length - remaining.length + 1}
+            total={queue.length}
+            staleDays={staleDays}
+            now={now}
+            onDecide={decide}
+          />
+        )}
+        {finished && (
+          <ReviewSummary
+            log={log}
+            onUndo={() => onFinish({ changed: log.length > 0, undo: true })}
+            onDone={finish}
+          />
+        )}
+      </div>
+    </div>
+  )
+}
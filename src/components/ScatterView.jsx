@@ -0,0 +1,161 @@
+import { useRef, useState } from "react"
+
+import { QUADRANTS, quadrantFromScores } from "../lib/tasks.js"
+
+const KEY_STEP = 5
+const DRAG_THRESHOLD_PX = 4
+
+const QUADRANT_POSITIONS = {
+  UI: "left-0 top-0",
+  NI: "right-0 top-0",
+  UN: "left-0 bottom-0",
+  NN: "right-0 bottom-0",
+}
+
+const QUADRANT_TINTS = {
+  UI: "bg-red-50/50",
+  NI: "bg-blue-50/50",
+  UN: "bg-amber-50/50",
+  NN: "bg-gray-50",
+}
+
+const QUADRANT_DOTS = {
+  UI: "bg-red-500",
+  NI: "bg-blue-500",
+  UN: "bg-amber-500",
+  NN: "bg-gray-400",
+}
+
+const clamp = (value) => Math.min(100, Math.max(0, Math.round(value)))
+
+// Urgency grows to the left and importance grows upwards so the plot lines up
+// with the quadrant grid of the matrix view.
+const toPosition = ({ urgency, importance }) => ({
+  left: `${100 - urgency}%`,
+  top: `${100 - importance}%`,
+})
+
+export default function ScatterView({ tasks, onScoresChange }) {
+  const planeRef = useRef(null)
+  const [dragging, setDragging] = useState(null)
+
+  const scoresFromPointer = (event) => {
+    const rect = planeRef.current.getBoundingClientRect()
+    return {
+      urgency: clamp(100 - ((event.clientX - rect.left) / rect.width) * 100),
+      importance: clamp(100 - ((event.clientY - rect.top) / rect.height) * 100),
+    }
+  }
+
+  const handlePointerDown = (event, task) => {
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    setDragging({
+      id: task.id,
+      startX: event.clientX,
+      startY: event.clientY,
+      moved: false,
+      urgency: task.urgency,
+      importance: task.importance,
+    })
+  }
+
+  const handlePointerMove = (event) => {
+    if (!dragging) return
+    const moved =
+      dragging.moved ||
+      Math.hypot(event.clientX - dragging.startX, event.clientY - dragging.startY) >
+        DRAG_THRESHOLD_PX
+    if (!moved) return
+    setDragging({ ...dragging, moved, ...scoresFromPointer(event) })
+  }
+
+  const handlePointerUp = (event, task) => {
+    if (!dragging) return
+    const { moved } = dragging
+    setDragging(null)
+    if (!moved) return
+
+    const scores = scoresFromPointer(event)
+    if (scores.urgency !== task.urgency || scores.importance !== task.importance) {
+      onScoresChange(task.id, scores)
+    }
+  }
+
+  const handleKeyDown = (event, task) => {
+    const deltas = {
+      ArrowLeft: { urgency: KEY_STEP },
+      ArrowRight: { urgency: -KEY_STEP },
+      ArrowUp: { importance: KEY_STEP },
+      ArrowDown: { importance: -KEY_STEP },
+    }
+    const delta = deltas[event.key]
+    if (!delta) return
+
+    event.preventDefault()
+    onScoresChange(task.id, {
+      urgency: clamp(task.urgency + (delta.urgency || 0)),
+      importance: clamp(task.importance + (delta.importance || 0)),
+    })
+  }
+
+  return (
+    <div className="rounded-xl border border-gray-200 bg-white p-4">
+      <div className="mb-2 flex justify-between text-[11px] text-gray-500 sm:text-xs">
+        <span>← More urgent</span>
+        <span>More important ↑</span>
+      </div>
+
+      <div
+        ref={planeRef}
+        className="relative aspect-square w-full touch-none select-none overflow-hidden rounded-lg border border-gray-200 md:aspect-auto md:h-[70vh]"
+      >
+        {QUADRANTS.map(q => (
+          <div
+            key={q.id}
+            className={`absolute h-1/2 w-1/2 p-2 ${QUADRANT_POSITIONS[q.id]} ${QUADRANT_TINTS[q.id]}`}
+          >
+            <p className="text-[11px] font-medium text-gray-400 sm:text-xs">{q.subtitle}</p>
+          </div>
+        ))}
+        <div className="pointer-events-none absolute inset-y-0 left-1/2 border-l border-dashed border-gray-300" />
+        <div className="pointer-events-none absolute inset-x-0 top-1/2 border-t border-dashed border-gray-300" />
+
+        {tasks.map(task => {
+          const isDragging = dragging?.id === task.id
+          const scores = isDragging ? dragging : task
+          const quadrant = quadrantFromScores(scores)
+
+          return (
+            <button
+              key={task.id}
+              type="button"
+              style={toPosition(scores)}
+              onPointerDown={e => handlePointerDown(e, task)}
+              onPointerMove={handlePointerMove}
+              onPointerUp={e => handlePointerUp(e, task)}
+              onPointerCancel={() => setDragging(null)}
+              onKeyDown={e => handleKeyDown(e, task)}
+              className={`absolute z-10 flex max-w-[10rem] -translate-x-1.5 -translate-y-1.5 cursor-grab items-center gap-1 text-left focus:outline-none ${
+                isDragging ? "z-20 cursor-grabbing" : ""
+              } ${task.completed ? "opacity-40" : ""}`}
+              title={`${task.title} — urgency ${scores.urgency}, importance ${scores.importance}`}
+              aria-label={`${task.title}: urgency ${scores.urgency}, importance ${scores.importance}. Use arrow keys to adjust.`}
+            >
+              <span
+                className={`h-3 w-3 shrink-0 rounded-full border-2 border-white shadow ring-1 ring-gray-400 ${QUADRANT_DOTS[quadrant]}`}
+              />
+              <span className="truncate rounded bg-white/80 px-1 text-[11px] text-gray-700 sm:text-xs">
+                {task.title}
+              </span>
+            </button>
+          )
+        })}
+      </div>
+
+      <p className="mt-2 text-[11px] text-gray-500 sm:text-xs">
+        Drag a task to change its urgency and importance, or focus it and use the arrow keys.
+      </p>
+    </div>
+  )
+}
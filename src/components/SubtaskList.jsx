@@ -0,0 +1,118 @@
+import { useState } from "react"
+
+import { generateId } from "../lib/tasks.js"
+
+const moveItem = (items, from, to) => {
+  const next = [...items]
+  const [item] = next.splice(from, 1)
+  next.splice(to, 0, item)
+  return next
+}
+
+export default function SubtaskList({
+  task,
+  completeParent,
+  onChange,
+  onCompleteParentChange,
+}) {
+  const [input, setInput] = useState("")
+  const { subtasks } = task
+
+  const handleAdd = () => {
+    const title = input.trim()
+    if (!title) return
+    onChange(task.id, [...subtasks, { id: generateId(), title, completed: false }], "Add subtask")
+    setInput("")
+  }
+
+  return (
+    <div className="mb-3">
+      <p className="mb-1 text-xs font-medium text-gray-500">Subtasks</p>
+
+      {subtasks.length > 0 && (
+        <ul className="mb-2 space-y-1">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask.id} className="group/subtask flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={subtask.completed}
+                onChange={() =>
+                  onChange(
+                    task.id,
+                    subtasks.map(s =>
+                      s.id === subtask.id ? { ...s, completed: !s.completed } : s
+                    ),
+                    "Toggle subtask"
+                  )
+                }
+                className="h-4 w-4 cursor-pointer"
+                aria-label={`Complete ${subtask.title}`}
+              />
+              <span
+                className={`flex-1 break-words ${
+                  subtask.completed ? "line-through text-gray-400" : "text-gray-700"
+                }`}
+              >
+                {subtask.title}
+              </span>
+              <button
+                onClick={() => onChange(task.id, moveItem(subtasks, index, index - 1), "Reorder subtasks")}
+                disabled={index === 0}
+                className="px-1 text-xs text-gray-400 hover:text-gray-900 disabled:opacity-30"
+                aria-label={`Move ${subtask.title} up`}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => onChange(task.id, moveItem(subtasks, index, index + 1), "Reorder subtasks")}
+                disabled={index === subtasks.length - 1}
+                className="px-1 text-xs text-gray-400 hover:text-gray-900 disabled:opacity-30"
+                aria-label={`Move ${subtask.title} down`}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() =>
+                  onChange(task.id, subtasks.filter(s => s.id !== subtask.id), "Delete subtask")
+                }
+                className="px-1 text-xs text-gray-400 hover:text-red-500"
+                aria-label={`Delete ${subtask.title}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && handleAdd()}
+          placeholder="Add subtask"
+          className="min-w-0 flex-1 rounded-md border px-2 py-1 text-sm"
+          aria-label={`Add subtask to ${task.title}`}
+        />
+        <button
+          onClick={handleAdd}
+          className="rounded-md border px-2 py-1 text-xs hover:bg-gray-100"
+        >
+          Add
+        </button>
+      </div>
+
+      {subtasks.length > 0 && (
+        <label className="mt-1 flex items-center gap-1 text-xs text-gray-500">
+          <input
+            type="checkbox"
+            checked={completeParent}
+            onChange={e => onCompleteParentChange(e.target.checked)}
+            className="h-3 w-3"
+          />
+          Complete the task when every subtask is done
+        </label>
+      )}
+    </div>
+  )
+}
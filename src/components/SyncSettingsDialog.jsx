@@ -0,0 +1,193 @@
+import { useState } from "react"
+
+import { SYNC_PROVIDERS, createSyncProvider } from "../lib/syncProviders/index.js"
+
+const formatSize = (bytes) =>
+  bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`
+
+export default function SyncSettingsDialog({
+  settings,
+  documentName,
+  googleAvailable,
+  getGoogleAccessToken,
+  onSave,
+  onClose,
+}) {
+  const [draft, setDraft] = useState(settings)
+  const [check, setCheck] = useState(null)
+
+  const updateRest = (patch) => {
+    setDraft(prev => ({ ...prev, rest: { ...prev.rest, ...patch } }))
+    setCheck(null)
+  }
+
+  const testConnection = async () => {
+    setCheck({ status: "checking" })
+    try {
+      const provider = createSyncProvider(draft, { getGoogleAccessToken })
+      if (!(await provider.authorize({ interactive: true }))) {
+        throw new Error("Authorization was not granted.")
+      }
+      const document = await provider.read(documentName)
+      const backups = await provider.listBackups(documentName)
+      setCheck({ status: "ok", exists: document.exists, backups })
+    } catch (err) {
+      setCheck({
+        status: "error",
+        message: err instanceof Error ? err.message : "The connection failed.",
+      })
+    }
+  }
+
+  const canSave = draft.provider !== "rest" || Boolean(draft.rest.url.trim())
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="sync-settings-title"
+        className="max-h-[90dvh] w-full max-w-md overflow-auto rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 id="sync-settings-title" className="text-base font-semibold">
+            Cloud sync
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <fieldset className="space-y-1">
+          <legend className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Sync tasks with
+          </legend>
+          {SYNC_PROVIDERS.map(provider => (
+            <label key={provider.id} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="sync-provider"
+                checked={draft.provider === provider.id}
+                onChange={() => {
+                  setDraft(prev => ({ ...prev, provider: provider.id }))
+                  setCheck(null)
+                }}
+              />
+              {provider.label}
+              {provider.id === "drive" && !googleAvailable && (
+                <span className="text-xs text-gray-400">(not configured)</span>
+              )}
+            </label>
+          ))}
+        </fieldset>
+
+        {draft.provider === "rest" && (
+          <div className="mt-4 space-y-2 text-xs">
+            <label className="block">
+              <span className="text-gray-600">Server URL</span>
+              <input
+                type="url"
+                value={draft.rest.url}
+                onChange={e => updateRest({ url: e.target.value })}
+                placeholder="https://dav.example.com/eisenhower"
+                className="mt-1 w-full rounded-md border px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-600">Username</span>
+              <input
+                value={draft.rest.username}
+                onChange={e => updateRest({ username: e.target.value })}
+                autoComplete="username"
+                className="mt-1 w-full rounded-md border px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-600">Password or token</span>
+              <input
+                type="password"
+                value={draft.rest.password}
+                onChange={e => updateRest({ password: e.target.value })}
+                autoComplete="current-password"
+                className="mt-1 w-full rounded-md border px-2 py-1 text-sm"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={draft.rest.remember}
+                onChange={e => updateRest({ remember: e.target.checked })}
+              />
+              Remember the password on this device
+            </label>
+            <p className="text-gray-500">
+              {draft.rest.remember
+                ? "It is kept unencrypted in this browser's storage, where anyone using this browser profile can read it."
+                : "It is kept only while a tab of this app is open. Tabs opened later get it from an open one; once they are all closed, you enter it again."}
+            </p>
+            <p className="text-gray-500">
+              With a username this is sent as Basic auth; without one, as a bearer token. The
+              server needs to allow this site's origin (CORS).
+            </p>
+          </div>
+        )}
+
+        <div className="mt-4 rounded-md border bg-gray-50 p-3 text-xs">
+          <button
+            onClick={testConnection}
+            disabled={!canSave || check?.status === "checking"}
+            className="rounded-md border border-gray-300 bg-white px-3 py-1 hover:bg-gray-100 disabled:opacity-40"
+          >
+            {check?.status === "checking" ? "Checking…" : "Test connection"}
+          </button>
+          {check?.status === "error" && <p className="mt-2 text-red-500">{check.message}</p>}
+          {check?.status === "ok" && (
+            <div className="mt-2 text-gray-600">
+              <p>
+                Connected.{" "}
+                {check.exists ? "A synced board is already stored here." : "Nothing is stored here yet."}
+              </p>
+              {check.backups.length > 0 && (
+                <ul className="mt-1 space-y-0.5">
+                  {check.backups.slice(0, 5).map(backup => (
+                    <li key={backup.id}>
+                      Backup from {new Date(backup.modifiedAt).toLocaleString()} ·{" "}
+                      {formatSize(backup.size)}
+                    </li>
+                  ))}
+                  {check.backups.length > 5 && (
+                    <li className="text-gray-400">…and {check.backups.length - 5} more</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="mt-4 flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            className="rounded-md px-3 py-2 text-xs text-gray-600 hover:bg-gray-100"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave(draft)}
+            disabled={!canSave}
+            className="rounded-md bg-gray-900 px-3 py-2 text-xs text-white hover:bg-gray-700 disabled:opacity-40"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
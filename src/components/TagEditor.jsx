@@ -0,0 +1,60 @@
+import { useState } from "react"
+
+import { normalizeTag } from "../lib/tags.js"
+
+export default function TagEditor({ task, suggestions, onChange }) {
+  const [draft, setDraft] = useState("")
+
+  const addTags = (value) => {
+    const added = value.split(/[,\s]+/).map(normalizeTag).filter(Boolean)
+    const next = [...new Set([...task.tags, ...added])]
+    if (next.length !== task.tags.length) onChange(task.id, { tags: next })
+    setDraft("")
+  }
+
+  const removeTag = (tag) => onChange(task.id, { tags: task.tags.filter(t => t !== tag) })
+
+  const listId = `tag-suggestions-${task.id}`
+
+  return (
+    <div className="mb-2 flex flex-wrap items-center gap-1 text-xs text-gray-500">
+      <span className="mr-1">Tags</span>
+      {task.tags.map(tag => (
+        <span key={tag} className="flex items-center gap-0.5 rounded-full bg-gray-100 px-2 py-0.5 text-gray-700">
+          #{tag}
+          <button
+            onClick={() => removeTag(tag)}
+            className="text-gray-400 hover:text-gray-900"
+            aria-label={`Remove tag ${tag}`}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault()
+            addTags(draft)
+          } else if (e.key === "Backspace" && !draft && task.tags.length) {
+            removeTag(task.tags[task.tags.length - 1])
+          }
+        }}
+        onBlur={() => draft.trim() && addTags(draft)}
+        list={listId}
+        placeholder="Add tag"
+        className="w-24 rounded-md border px-2 py-0.5 text-xs text-gray-900"
+        aria-label={`Add tag to ${task.title}`}
+      />
+      <datalist id={listId}>
+        {suggestions
+          .filter(tag => !task.tags.includes(tag))
+          .map(tag => (
+            <option key={tag} value={tag} />
+          ))}
+      </datalist>
+    </div>
+  )
+}
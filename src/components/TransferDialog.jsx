@@ -0,0 +1,208 @@
+import { useState } from "react"
+
+import {
+  EXPORT_FORMATS,
+  detectImportFormat,
+  downloadFile,
+  exportBoard,
+  parseImport,
+} from "../lib/transfer.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const PREVIEW_LIMIT = 8
+
+export default function TransferDialog({ tasks, tombstones, onImport, onClose }) {
+  const [text, setText] = useState("")
+  const [format, setFormat] = useState("json")
+  const [fallbackQuadrant, setFallbackQuadrant] = useState("UI")
+  const [mode, setMode] = useState("merge")
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState("")
+
+  const buildPreview = (nextText, nextFormat, nextFallback) => {
+    setError("")
+    setPreview(null)
+    if (!nextText.trim()) return
+
+    try {
+      setPreview(parseImport(nextFormat, nextText, { fallbackQuadrant: nextFallback }))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "This file could not be read.")
+    }
+  }
+
+  const handleFile = async (file) => {
+    if (!file) return
+    const content = await file.text()
+    const detected = detectImportFormat(file.name, content)
+    setText(content)
+    setFormat(detected)
+    buildPreview(content, detected, fallbackQuadrant)
+  }
+
+  return (
+    <div
+      className="fixed inset-0 z-30 flex items-end justify-center bg-gray-900/40 p-4 sm:items-center"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="transfer-dialog-title"
+        className="max-h-[90dvh] w-full max-w-lg overflow-auto rounded-xl bg-white p-4 text-left text-sm shadow-xl sm:p-6"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="mb-4 flex items-center justify-between">
+          <h2 id="transfer-dialog-title" className="text-base font-semibold">
+            Import & export
+          </h2>
+          <button
+            onClick={onClose}
+            className="px-1 text-base text-gray-400 hover:text-gray-900"
+            aria-label="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <section>
+          <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Export {tasks.length} {tasks.length === 1 ? "task" : "tasks"}
+          </h3>
+          <div className="flex flex-wrap gap-2">
+            {EXPORT_FORMATS.map(f => (
+              <button
+                key={f.id}
+                onClick={() => downloadFile(exportBoard(f.id, tasks, tombstones))}
+                className="rounded-md border px-3 py-2 hover:bg-gray-100"
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </section>
+
+        <section className="mt-6">
+          <h3 className="mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+            Import
+          </h3>
+
+          <input
+            type="file"
+            accept=".json,.csv,.md,.markdown,.txt,application/json,text/csv,text/markdown,text/plain"
+            onChange={e => handleFile(e.target.files?.[0])}
+            className="block w-full text-xs"
+          />
+          <textarea
+            rows={4}
+            value={text}
+            onChange={e => {
+              setText(e.target.value)
+              buildPreview(e.target.value, format, fallbackQuadrant)
+            }}
+            placeholder="…or paste JSON, CSV, Markdown or todo.txt here"
+            className="mt-2 w-full rounded-md border px-2 py-1 font-mono text-xs"
+            aria-label="Import text"
+          />
+
+          <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+            <select
+              value={format}
+              onChange={e => {
+                setFormat(e.target.value)
+                buildPreview(text, e.target.value, fallbackQuadrant)
+              }}
+              className="rounded-md border bg-white px-2 py-1"
+              aria-label="Import format"
+            >
+              {EXPORT_FORMATS.map(f => (
+                <option key={f.id} value={f.id}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              Tasks without a quadrant go to
+              <select
+                value={fallbackQuadrant}
+                onChange={e => {
+                  setFallbackQuadrant(e.target.value)
+                  buildPreview(text, format, e.target.value)
+                }}
+                className="rounded-md border bg-white px-2 py-1"
+              >
+                {QUADRANTS.map(q => (
+                  <option key={q.id} value={q.id}>
+                    {q.subtitle}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {error && <p className="mt-2 text-xs text-red-500">{error}</p>}
+
+          {preview && (
+            <div className="mt-3 rounded-md border bg-gray-50 p-3">
+              <p className="text-xs text-gray-600">
+                {QUADRANTS.map(q => {
+                  const count = preview.tasks.filter(t => t.quadrant === q.id).length
+                  return `${q.subtitle}: ${count}`
+                }).join(" · ")}
+              </p>
+              <ul className="mt-2 space-y-0.5 text-xs">
+                {preview.tasks.slice(0, PREVIEW_LIMIT).map(task => (
+                  <li key={task.id} className={task.completed ? "line-through text-gray-400" : ""}>
+                    {task.title}
+                  </li>
+                ))}
+                {preview.tasks.length > PREVIEW_LIMIT && (
+                  <li className="text-gray-400">
+                    …and {preview.tasks.length - PREVIEW_LIMIT} more
+                  </li>
+                )}
+              </ul>
+              {preview.warnings.length > 0 && (
+                <ul className="mt-2 space-y-0.5 text-xs text-amber-700">
+                  {preview.warnings.map(warning => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="mt-3 flex flex-wrap items-center gap-3 text-xs">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    checked={mode === "merge"}
+                    onChange={() => setMode("merge")}
+                  />
+                  Merge with current board
+                </label>
+                <label className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    checked={mode === "replace"}
+                    onChange={() => setMode("replace")}
+                  />
+                  Replace current board
+                </label>
+              </div>
+
+              <button
+                onClick={() => onImport(preview.tasks, mode)}
+                disabled={!preview.tasks.length}
+                className="mt-3 rounded-md bg-gray-900 px-3 py-2 text-xs text-white hover:bg-gray-700 disabled:opacity-40"
+              >
+                {mode === "replace" ? "Replace with" : "Import"} {preview.tasks.length}{" "}
+                {preview.tasks.length === 1 ? "task" : "tasks"}
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  )
+}
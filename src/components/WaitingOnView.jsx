@@ -0,0 +1,96 @@
+import { formatDue } from "../lib/dates.js"
+import { buildHandoffMailto, getFollowUpStatus, groupByAssignee } from "../lib/delegation.js"
+import { QUADRANTS } from "../lib/tasks.js"
+
+const quadrantLabel = (id) => QUADRANTS.find(q => q.id === id)?.subtitle || id
+
+const FOLLOW_UP_STYLES = {
+  overdue: "border-red-200 bg-red-50 text-red-600",
+  soon: "border-amber-200 bg-amber-50 text-amber-700",
+  upcoming: "border-gray-200 bg-gray-50 text-gray-500",
+}
+
+export default function WaitingOnView({ tasks, now, onToggle, onUpdate, onJumpToTask }) {
+  const groups = groupByAssignee(tasks)
+
+  if (!groups.length) {
+    return (
+      <p className="rounded-xl border border-dashed border-gray-300 bg-white px-4 py-10 text-center text-sm text-gray-500">
+        Nothing delegated yet. Open a task's details and fill in "Delegated to" to track it here.
+      </p>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-4 text-left md:grid-cols-2">
+      {groups.map(group => {
+        const overdue = group.tasks.filter(
+          task => getFollowUpStatus(task, now) === "overdue"
+        ).length
+        return (
+          <section
+            key={group.assignee.toLowerCase()}
+            className="rounded-xl border border-gray-200 bg-white p-3"
+          >
+            <h2 className="mb-2 flex items-baseline gap-2 font-semibold">
+              {group.assignee}
+              <span className="text-xs font-normal text-gray-500">
+                {group.tasks.length} waiting
+                {overdue > 0 && <span className="text-red-600"> · {overdue} overdue</span>}
+              </span>
+            </h2>
+            <ul className="space-y-1 text-sm">
+              {group.tasks.map(task => {
+                const status = getFollowUpStatus(task, now)
+                return (
+                  <li
+                    key={task.id}
+                    className={`flex flex-wrap items-center gap-2 rounded-md border px-3 py-1.5 ${
+                      status === "overdue" ? "border-red-200" : ""
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={task.completed}
+                      onChange={() => onToggle(task.id)}
+                      aria-label={`Complete ${task.title}`}
+                    />
+                    <button
+                      onClick={() => onJumpToTask(task.id)}
+                      className="min-w-0 flex-1 break-words text-left hover:underline"
+                      title={`Show in ${quadrantLabel(task.quadrant)}`}
+                    >
+                      {task.title}
+                    </button>
+                    {status ? (
+                      <span
+                        className={`shrink-0 whitespace-nowrap rounded-full border px-2 py-0.5 text-[11px] ${FOLLOW_UP_STYLES[status]}`}
+                        title={status === "overdue" ? "Follow-up overdue" : "Follow up"}
+                      >
+                        {formatDue(task.followUp, now)}
+                      </span>
+                    ) : (
+                      <input
+                        type="date"
+                        onChange={e => onUpdate(task.id, { followUp: e.target.value })}
+                        className="rounded-md border px-1 py-0.5 text-[11px] text-gray-500"
+                        aria-label={`Follow-up date for ${task.title}`}
+                      />
+                    )}
+                    <a
+                      href={buildHandoffMailto(task)}
+                      className="shrink-0 text-xs text-gray-500 hover:text-gray-900"
+                      title="Email a handoff message"
+                    >
+                      ✉
+                    </a>
+                  </li>
+                )
+              })}
+            </ul>
+          </section>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,148 @@
+import { toDateInputValue } from "./dates.js"
+import { QUADRANTS, VALID_QUADRANTS } from "./tasks.js"
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+export const MOVE_LOG_LIMIT = 2000
+
+export const ANALYTICS_RANGES = [
+  { id: "30d", label: "30 days", days: 30, bucketDays: 1 },
+  { id: "12w", label: "12 weeks", days: 84, bucketDays: 7 },
+  { id: "1y", label: "12 months", days: 364, bucketDays: 28 },
+]
+
+const emptyCounts = () => Object.fromEntries(QUADRANTS.map(q => [q.id, 0]))
+
+export const createMoveEvent = (task, to, source, now = Date.now()) => ({
+  taskId: task.id,
+  from: task.quadrant,
+  to,
+  source,
+  at: now,
+})
+
+export const normalizeMoveEvents = (rawEvents) => {
+  if (!Array.isArray(rawEvents)) return []
+  return rawEvents
+    .filter(
+      event =>
+        typeof event?.taskId === "string" &&
+        VALID_QUADRANTS.has(event.from) &&
+        VALID_QUADRANTS.has(event.to) &&
+        event.from !== event.to &&
+        Number.isFinite(event.at)
+    )
+    .map(event => ({
+      taskId: event.taskId,
+      from: event.from,
+      to: event.to,
+      source: typeof event.source === "string" ? event.source : "",
+      at: event.at,
+    }))
+    .slice(-MOVE_LOG_LIMIT)
+}
+
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp)
+  date.setHours(0, 0, 0, 0)
+  return date.getTime()
+}
+
+/** Consecutive time buckets ending today, oldest first. */
+export const getBuckets = (range, now = Date.now()) => {
+  const end = startOfDay(now) + DAY_MS
+  const count = Math.ceil(range.days / range.bucketDays)
+  const size = range.bucketDays * DAY_MS
+
+  return Array.from({ length: count }, (_, index) => {
+    const start = end - (count - index) * size
+    return { start, end: start + size, label: toDateInputValue(start) }
+  })
+}
+
+const countInBuckets = (buckets, items, getTime, getQuadrant) => {
+  const counts = buckets.map(() => emptyCounts())
+  items.forEach(item => {
+    const time = getTime(item)
+    if (!time) return
+    const index = buckets.findIndex(bucket => time >= bucket.start && time < bucket.end)
+    if (index !== -1) counts[index][getQuadrant(item)] += 1
+  })
+  return counts
+}
+
+const sumCounts = (countsList) =>
+  countsList.reduce(
+    (total, counts) => total + Object.values(counts).reduce((a, b) => a + b, 0),
+    0
+  )
+
+const median = (values) => {
+  if (!values.length) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Everything the dashboard shows for one range: tasks created and completed
+ * per bucket and quadrant, how long completed tasks stayed open, and the
+ * quadrant moves recorded in that time.
+ */
+export const buildAnalytics = (tasks, moveEvents, range, now = Date.now()) => {
+  const buckets = getBuckets(range, now)
+  const from = buckets[0].start
+  const to = buckets[buckets.length - 1].end
+  const inRange = (time) => time >= from && time < to
+
+  const created = countInBuckets(buckets, tasks, task => task.createdAt, task => task.quadrant)
+  const completed = countInBuckets(
+    buckets,
+    tasks.filter(task => task.completed),
+    task => task.completedAt,
+    task => task.quadrant
+  )
+
+  const durations = Object.fromEntries(QUADRANTS.map(q => [q.id, []]))
+  tasks.forEach(task => {
+    if (!task.completed || !task.createdAt || !inRange(task.completedAt)) return
+    durations[task.quadrant].push(Math.max(0, task.completedAt - task.createdAt))
+  })
+
+  const moves = Object.fromEntries(QUADRANTS.map(q => [q.id, emptyCounts()]))
+  const rangeMoves = moveEvents.filter(event => inRange(event.at))
+  rangeMoves.forEach(event => {
+    moves[event.from][event.to] += 1
+  })
+
+  return {
+    buckets: buckets.map((bucket, index) => ({
+      ...bucket,
+      created: created[index],
+      completed: completed[index],
+    })),
+    totals: {
+      created: sumCounts(created),
+      completed: sumCounts(completed),
+      completedUrgentImportant: completed.reduce((total, counts) => total + counts.UI, 0),
+      moves: rangeMoves.length,
+    },
+    timeToComplete: QUADRANTS.map(q => ({
+      quadrant: q.id,
+      count: durations[q.id].length,
+      median: median(durations[q.id]),
+      average: durations[q.id].length
+        ? durations[q.id].reduce((a, b) => a + b, 0) / durations[q.id].length
+        : 0,
+    })),
+    moves,
+  }
+}
+
+export const formatDuration = (ms) => {
+  if (ms < HOUR_MS) return `${Math.max(1, Math.round(ms / 60000))} min`
+  if (ms < DAY_MS) return `${Math.round(ms / HOUR_MS)} h`
+  const days = ms / DAY_MS
+  return `${days < 10 ? days.toFixed(1) : Math.round(days)} days`
+}
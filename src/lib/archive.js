@@ -0,0 +1,61 @@
+import { formatDue, toDateInputValue } from "./dates.js"
+import { setTaskCompleted } from "./tasks.js"
+
+export const DEFAULT_PURGE_AFTER_DAYS = 90
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const isArchived = (task) => task.archivedAt > 0
+
+const getCompletionTime = (task) => task.completedAt || task.archivedAt
+
+export const normalizePurgeAfterDays = (value) =>
+  Number.isFinite(value) && value >= 1 ? Math.round(value) : DEFAULT_PURGE_AFTER_DAYS
+
+/** Moves every completed task on the board into the archive. */
+export const archiveCompleted = (tasks, now = Date.now()) => {
+  const archivedIds = []
+  const next = tasks.map(task => {
+    if (!task.completed || isArchived(task)) return task
+    archivedIds.push(task.id)
+    return { ...task, archivedAt: now, updatedAt: now }
+  })
+  return { tasks: next, archivedIds }
+}
+
+/**
+ * Brings an archived task back as an open task at the end of the quadrant it
+ * was completed in.
+ */
+export const restoreArchivedTask = (tasks, id, now = Date.now()) => {
+  const task = tasks.find(t => t.id === id)
+  if (!task || !isArchived(task)) return tasks
+
+  const order = tasks
+    .filter(t => t.quadrant === task.quadrant && !isArchived(t))
+    .reduce((max, t) => Math.max(max, t.order + 1), 0)
+  return tasks.map(t => (t.id === id ? { ...setTaskCompleted(t, false, now), order } : t))
+}
+
+/** Archived tasks completed more than `days` days ago. */
+export const findPurgeable = (tasks, days, now = Date.now()) =>
+  tasks.filter(
+    task => isArchived(task) && getCompletionTime(task) < now - days * DAY_MS
+  )
+
+/** Archived tasks grouped by the day they were completed, newest first. */
+export const groupArchiveByDay = (tasks, now = Date.now()) => {
+  const groups = new Map()
+  const sorted = [...tasks].sort((a, b) => getCompletionTime(b) - getCompletionTime(a))
+
+  sorted.forEach(task => {
+    const day = toDateInputValue(getCompletionTime(task))
+    if (!groups.has(day)) groups.set(day, [])
+    groups.get(day).push(task)
+  })
+
+  return [...groups.entries()].map(([day, dayTasks]) => ({
+    day,
+    label: formatDue(day, now),
+    tasks: dayTasks,
+  }))
+}
@@ -0,0 +1,150 @@
+import { normalizeMoveEvents } from "./analytics.js"
+import {
+  BOARDS_PAYLOAD_VERSION,
+  DEFAULT_BOARD_ID,
+  migrateBoardsPayload,
+  normalizeBoards,
+} from "./boards.js"
+import { SYNC_PAYLOAD_VERSION, migrateSyncPayload } from "./payload.js"
+import { SchemaVersionError } from "./schema.js"
+import { migrateFromLocalStorage, getItem, removeItem, setItem } from "./storage.js"
+import { normalizeTasks } from "./tasks.js"
+import { compactTombstones, normalizeTombstones } from "./tombstones.js"
+
+const TASKS_STORAGE_PREFIX = "eisenhower_tasks_v2"
+const TOMBSTONES_STORAGE_PREFIX = "eisenhower_tombstones_v1"
+const SYNC_BASE_STORAGE_PREFIX = "eisenhower_sync_base_v1"
+const BOARDS_STORAGE_PREFIX = "eisenhower_boards_v1"
+const BOARDS_SYNC_BASE_STORAGE_PREFIX = "eisenhower_boards_sync_base_v1"
+const MOVES_STORAGE_PREFIX = "eisenhower_moves_v1"
+const LAST_SYNCED_STORAGE_PREFIX = "eisenhower_last_synced_v1"
+
+const BOARD_STORAGE_PREFIXES = [
+  TASKS_STORAGE_PREFIX,
+  TOMBSTONES_STORAGE_PREFIX,
+  SYNC_BASE_STORAGE_PREFIX,
+]
+
+// The default board keeps the key it had before boards existed.
+const getUserKey = (prefix, email, boardId = DEFAULT_BOARD_ID) => {
+  const key = `${prefix}:${(email || "").toLowerCase()}`
+  return boardId === DEFAULT_BOARD_ID ? key : `${key}:${boardId}`
+}
+
+const readValue = async (key, fallback) => {
+  await migrateFromLocalStorage(BOARD_STORAGE_PREFIXES)
+  try {
+    return (await getItem(key)) ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+const writeValue = async (key, value) => {
+  await migrateFromLocalStorage(BOARD_STORAGE_PREFIXES)
+  await setItem(key, value)
+}
+
+// Versions of the data a newer version of the app left on this device, by
+// key. Saving that data again keeps its version, so the newer app doesn't run
+// upgrade steps on it a second time.
+const newerVersions = new Map()
+
+const getSaveVersion = (key, current) => Math.max(current, newerVersions.get(key) || 0)
+
+// Unlike a remote file, data a newer version left on this device can't be
+// fetched again, so it's read as far as this version understands it and
+// unknown fields are kept, rather than refused.
+const migrateOrKeep = (key, stored, migrateStored) => {
+  try {
+    const migrated = migrateStored(stored)
+    newerVersions.delete(key)
+    return migrated
+  } catch (error) {
+    if (error instanceof SchemaVersionError) newerVersions.set(key, error.version)
+    return stored
+  }
+}
+
+export const loadBoard = async (email, boardId) => {
+  const key = getUserKey(TASKS_STORAGE_PREFIX, email, boardId)
+  const [stored, tombstones] = await Promise.all([
+    readValue(key, []),
+    readValue(getUserKey(TOMBSTONES_STORAGE_PREFIX, email, boardId), []),
+  ])
+  return {
+    tasks: normalizeTasks(migrateOrKeep(key, stored, migrateSyncPayload).tasks),
+    tombstones: compactTombstones(normalizeTombstones(tombstones)),
+  }
+}
+
+export const saveTasks = (email, boardId, tasks) => {
+  const key = getUserKey(TASKS_STORAGE_PREFIX, email, boardId)
+  return writeValue(key, { version: getSaveVersion(key, SYNC_PAYLOAD_VERSION), tasks })
+}
+
+export const saveTombstones = (email, boardId, tombstones) =>
+  writeValue(getUserKey(TOMBSTONES_STORAGE_PREFIX, email, boardId), tombstones)
+
+export const loadSyncBase = async (email, boardId) =>
+  normalizeTasks(await readValue(getUserKey(SYNC_BASE_STORAGE_PREFIX, email, boardId), []))
+
+export const saveSyncBase = (email, boardId, tasks) =>
+  writeValue(getUserKey(SYNC_BASE_STORAGE_PREFIX, email, boardId), tasks)
+
+export const loadLastSyncedAt = async (email, boardId) => {
+  const value = await readValue(getUserKey(LAST_SYNCED_STORAGE_PREFIX, email, boardId), 0)
+  return Number.isFinite(value) ? value : 0
+}
+
+export const saveLastSyncedAt = (email, boardId, timestamp) =>
+  writeValue(getUserKey(LAST_SYNCED_STORAGE_PREFIX, email, boardId), timestamp)
+
+// Quadrant moves feed the analytics dashboard. They stay on this device.
+export const loadMoveLog = async (email, boardId) =>
+  normalizeMoveEvents(await readValue(getUserKey(MOVES_STORAGE_PREFIX, email, boardId), []))
+
+export const saveMoveLog = (email, boardId, events) =>
+  writeValue(getUserKey(MOVES_STORAGE_PREFIX, email, boardId), events)
+
+export const removeBoardData = (email, boardId) => {
+  newerVersions.delete(getUserKey(TASKS_STORAGE_PREFIX, email, boardId))
+  return Promise.all(
+    [...BOARD_STORAGE_PREFIXES, MOVES_STORAGE_PREFIX, LAST_SYNCED_STORAGE_PREFIX].map(prefix =>
+      removeItem(getUserKey(prefix, email, boardId))
+    )
+  )
+}
+
+export const loadBoardList = async (email) => {
+  const key = getUserKey(BOARDS_STORAGE_PREFIX, email)
+  const stored = migrateOrKeep(key, await readValue(key, {}), migrateBoardsPayload)
+  return {
+    boards: normalizeBoards(stored?.boards),
+    tombstones: compactTombstones(normalizeTombstones(stored?.deleted)),
+  }
+}
+
+export const saveBoardList = (email, boards, tombstones) => {
+  const key = getUserKey(BOARDS_STORAGE_PREFIX, email)
+  return writeValue(key, {
+    version: getSaveVersion(key, BOARDS_PAYLOAD_VERSION),
+    boards,
+    deleted: tombstones,
+  })
+}
+
+export const loadBoardListSyncBase = async (email) =>
+  normalizeBoards(await readValue(getUserKey(BOARDS_SYNC_BASE_STORAGE_PREFIX, email), []))
+
+export const saveBoardListSyncBase = (email, boards) =>
+  writeValue(getUserKey(BOARDS_SYNC_BASE_STORAGE_PREFIX, email), boards)
+
+export const removeBoardList = (email) => {
+  newerVersions.delete(getUserKey(BOARDS_STORAGE_PREFIX, email))
+  return Promise.all(
+    [BOARDS_STORAGE_PREFIX, BOARDS_SYNC_BASE_STORAGE_PREFIX].map(prefix =>
+      removeItem(getUserKey(prefix, email))
+    )
+  )
+}
@@ -0,0 +1,114 @@
+import { keepUnknownFields, migrate } from "./schema.js"
+import { mergeTombstones, normalizeTombstones } from "./tombstones.js"
+import { generateId } from "./tasks.js"
+
+// The board every account starts with. It keeps the storage keys and sync
+// file that predate multiple boards, so existing tasks need no migration.
+export const DEFAULT_BOARD_ID = "default"
+export const DEFAULT_BOARD_NAME = "My board"
+export const BOARDS_SYNC_NAME = "eisenhower-boards.json"
+
+// Upgrades for stored board lists, oldest first; see `migrate`.
+const BOARDS_MIGRATIONS = [
+  // 0 -> 1: the device stored the list unversioned, in the same shape.
+  data => data || {},
+]
+
+export const BOARDS_PAYLOAD_VERSION = BOARDS_MIGRATIONS.length
+
+export const getBoardSyncName = (boardId) =>
+  boardId === DEFAULT_BOARD_ID ? "eisenhower-tasks.json" : `eisenhower-tasks-${boardId}.json`
+
+export const normalizeBoard = (board, index = 0) =>
+  keepUnknownFields(board, {
+    id: typeof board?.id === "string" && board.id ? board.id : generateId(),
+    name: typeof board?.name === "string" && board.name.trim() ? board.name.trim() : "Untitled board",
+    order: Number.isFinite(board?.order) ? board.order : index,
+    archived: Boolean(board?.archived),
+    updatedAt: Number.isFinite(board?.updatedAt) ? board.updatedAt : 0,
+  })
+
+export const compareBoards = (a, b) => a.order - b.order || a.id.localeCompare(b.id)
+
+export const normalizeBoards = (rawBoards) => {
+  if (!Array.isArray(rawBoards)) return []
+  return rawBoards.map((board, index) => normalizeBoard(board, index)).sort(compareBoards)
+}
+
+/** Falls back to the default board when an account has none yet. */
+export const ensureBoards = (boards) =>
+  boards.length ? boards : [normalizeBoard({ id: DEFAULT_BOARD_ID, name: DEFAULT_BOARD_NAME })]
+
+export const toBoardsSignature = (boards, tombstones = []) =>
+  JSON.stringify({
+    boards: normalizeBoards(boards),
+    tombstones: mergeTombstones(tombstones),
+  })
+
+export const getActiveBoards = (boards) => boards.filter(board => !board.archived)
+
+/** The remembered board when it is still open, otherwise the first open one. */
+export const resolveActiveBoardId = (boards, preferredId) => {
+  const open = getActiveBoards(boards)
+  if (open.some(board => board.id === preferredId)) return preferredId
+  return open[0]?.id || boards[0]?.id || DEFAULT_BOARD_ID
+}
+
+export const createBoard = (boards, name, now = Date.now()) => {
+  const board = normalizeBoard({
+    name,
+    order: boards.reduce((max, b) => Math.max(max, b.order + 1), 0),
+    updatedAt: now,
+  })
+  return { boards: [...boards, board], board }
+}
+
+export const updateBoard = (boards, id, patch, now = Date.now()) =>
+  boards.map(board =>
+    board.id === id ? normalizeBoard({ ...board, ...patch, updatedAt: now }) : board
+  )
+
+/**
+ * Moves an open board one step up or down among the open boards. Archived
+ * boards keep their relative order after them.
+ */
+export const moveBoard = (boards, id, delta, now = Date.now()) => {
+  const sorted = [...boards].sort(compareBoards)
+  const open = getActiveBoards(sorted)
+  const from = open.findIndex(board => board.id === id)
+  const to = from + delta
+  if (from < 0 || to < 0 || to >= open.length) return boards
+
+  const [moved] = open.splice(from, 1)
+  open.splice(to, 0, moved)
+  return [...open, ...sorted.filter(board => board.archived)].map((board, index) =>
+    board.order === index ? board : { ...board, order: index, updatedAt: now }
+  )
+}
+
+export const createBoardsPayload = (boards, tombstones = [], now = Date.now()) => ({
+  version: BOARDS_PAYLOAD_VERSION,
+  updatedAt: now,
+  boards: normalizeBoards(boards),
+  deleted: normalizeTombstones(tombstones),
+})
+
+export const migrateBoardsPayload = (data) => migrate(data, BOARDS_MIGRATIONS)
+
+export const parseBoardsPayload = (data) => {
+  const migrated = migrateBoardsPayload(data)
+  return {
+    boards: normalizeBoards(migrated.boards),
+    tombstones: normalizeTombstones(migrated.deleted),
+  }
+}
+
+export const BOARDS_DOCUMENT = {
+  normalize: normalizeBoards,
+  signature: toBoardsSignature,
+  parse: (data) => {
+    const { boards, tombstones } = parseBoardsPayload(data)
+    return { records: boards, tombstones }
+  },
+  serialize: (boards, tombstones) => createBoardsPayload(boards, tombstones),
+}
@@ -0,0 +1,59 @@
+import { generateId } from "./tasks.js"
+
+export const CONFLICT_CHOICES = [
+  { id: "local", label: "Keep local" },
+  { id: "cloud", label: "Keep cloud" },
+  { id: "both", label: "Keep both" },
+]
+
+/**
+ * Adds newly found conflicts to the pending ones; a task that conflicts
+ * again keeps only its latest pair of versions.
+ */
+export const addConflicts = (pending, found) => {
+  const foundIds = new Set(found.map(conflict => conflict.id))
+  return [...pending.filter(conflict => !foundIds.has(conflict.id)), ...found]
+}
+
+// `task` with the conflicting fields taken from `version`; fields missing
+// there are removed.
+const withFields = (task, version, fields) => {
+  const next = { ...task }
+  fields.forEach(field => {
+    if (version[field] === undefined) delete next[field]
+    else next[field] = version[field]
+  })
+  return next
+}
+
+/**
+ * Applies the user's pick for one conflict. Only the conflicting fields are
+ * taken from the chosen version, onto the task as it is now, so edits made
+ * since and the fields the merge already combined are kept. The result is
+ * saved as a fresh edit so it wins the next sync; "both" keeps the cloud
+ * fields and adds a copy with the local ones at the end of its quadrant.
+ */
+export const resolveConflict = (tasks, conflict, choice, now = Date.now()) => {
+  const current = tasks.find(task => task.id === conflict.id)
+  const chosen = choice === "local" ? conflict.local : conflict.remote
+  const resolved = current
+    ? tasks.map(task =>
+      task.id === conflict.id
+        ? { ...withFields(task, chosen, conflict.fields), updatedAt: now }
+        : task
+    )
+    : [...tasks, { ...chosen, updatedAt: now }]
+
+  if (choice !== "both") return resolved
+
+  const local = withFields(current || conflict.local, conflict.local, conflict.fields)
+  const copy = {
+    ...local,
+    id: generateId(),
+    seriesId: "",
+    order: resolved.filter(task => task.quadrant === local.quadrant).length,
+    createdAt: now,
+    updatedAt: now,
+  }
+  return [...resolved, copy]
+}
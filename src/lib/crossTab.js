@@ -0,0 +1,127 @@
+const CHANNEL_NAME = "eisenhower-tabs"
+const MESSAGE_STORAGE_KEY = "eisenhower_tab_message_v1"
+const LEASE_STORAGE_PREFIX = "eisenhower_leader_v1"
+const LEASE_MS = 5000
+const LEASE_RENEW_MS = 2000
+
+export const TAB_ID = Math.random().toString(36).slice(2)
+
+/**
+ * Messages to the app's other tabs and windows. Browsers without
+ * BroadcastChannel relay them through a localStorage key and the `storage`
+ * event, which only fires in the other tabs.
+ */
+export const openTabChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = event => onMessage(event.data)
+    return {
+      post: message => channel.postMessage(message),
+      close: () => channel.close(),
+    }
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== MESSAGE_STORAGE_KEY || !event.newValue) return
+    try {
+      onMessage(JSON.parse(event.newValue).message)
+    } catch {
+      // Ignore messages written by an incompatible version of the app.
+    }
+  }
+  window.addEventListener("storage", handleStorage)
+  return {
+    post: message => {
+      try {
+        localStorage.setItem(
+          MESSAGE_STORAGE_KEY,
+          JSON.stringify({ message, nonce: Math.random() })
+        )
+        // The other tabs already got the event; don't leave the message
+        // (which may carry a sync password) behind in storage.
+        localStorage.removeItem(MESSAGE_STORAGE_KEY)
+      } catch {
+        // Too large for localStorage; the other tabs catch up on their next load.
+      }
+    },
+    close: () => window.removeEventListener("storage", handleStorage),
+  }
+}
+
+const readLease = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null
+  } catch {
+    return null
+  }
+}
+
+// Without the Web Locks API, tabs take turns through a lease in localStorage
+// that the leader keeps renewing; when it stops, another tab claims it.
+const electWithLease = (name, onChange) => {
+  const key = `${LEASE_STORAGE_PREFIX}:${name}`
+  let leading = false
+
+  const setLeading = (value) => {
+    if (value === leading) return
+    leading = value
+    onChange(value)
+  }
+
+  const tick = () => {
+    const lease = readLease(key)
+    if (!lease || lease.tabId === TAB_ID || lease.expiresAt < Date.now()) {
+      const renewed = { tabId: TAB_ID, expiresAt: Date.now() + LEASE_MS }
+      localStorage.setItem(key, JSON.stringify(renewed))
+    }
+    setLeading(readLease(key)?.tabId === TAB_ID)
+  }
+
+  const release = () => {
+    if (readLease(key)?.tabId === TAB_ID) localStorage.removeItem(key)
+  }
+
+  tick()
+  const timer = setInterval(tick, LEASE_RENEW_MS)
+  window.addEventListener("pagehide", release)
+
+  return () => {
+    clearInterval(timer)
+    window.removeEventListener("pagehide", release)
+    release()
+    setLeading(false)
+  }
+}
+
+/**
+ * Makes this tab the leader for `name` once no other tab holds it, calling
+ * `onChange(true)` then. Leadership passes on when the leading tab closes or
+ * the returned function is called.
+ */
+export const electLeader = (name, onChange) => {
+  if (typeof navigator === "undefined" || !navigator.locks) {
+    return electWithLease(name, onChange)
+  }
+
+  const controller = new AbortController()
+  let leading = false
+
+  navigator.locks
+    .request(`eisenhower-leader:${name}`, { signal: controller.signal }, () => {
+      leading = true
+      onChange(true)
+      // Hold the lock until this tab closes or gives it up.
+      return new Promise(resolve => {
+        controller.signal.addEventListener("abort", resolve)
+      })
+    })
+    .catch(() => {})
+
+  return () => {
+    controller.abort()
+    if (leading) {
+      leading = false
+      onChange(false)
+    }
+  }
+}
@@ -0,0 +1,77 @@
+const DUE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const isValidDue = (due) => typeof due === "string" && DUE_PATTERN.test(due)
+
+export const splitDue = (due) => {
+  if (!isValidDue(due)) return { date: "", time: "" }
+  const [date, time = ""] = due.split("T")
+  return { date, time }
+}
+
+export const joinDue = (date, time) => {
+  if (!date) return ""
+  return time ? `${date}T${time}` : date
+}
+
+export const toDateInputValue = (timestamp) => {
+  const date = new Date(timestamp)
+  const pad = (value) => String(value).padStart(2, "0")
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Due dates without a time count as due at the end of that day.
+ */
+export const getDueTime = (due) => {
+  const match = typeof due === "string" ? due.match(DUE_PATTERN) : null
+  if (!match) return null
+
+  const [, year, month, day, hours, minutes] = match
+  if (hours === undefined) {
+    return new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59, 999).getTime()
+  }
+  return new Date(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes)
+  ).getTime()
+}
+
+export const getDueStatus = (due, now = Date.now()) => {
+  const dueTime = getDueTime(due)
+  if (dueTime === null) return null
+  if (dueTime < now) return "overdue"
+  if (dueTime - now < DAY_MS) return "soon"
+  return "upcoming"
+}
+
+export const formatDue = (due, now = Date.now()) => {
+  const { date, time } = splitDue(due)
+  if (!date) return ""
+
+  const dayOffset = Math.round(
+    (getDueTime(date) - getDueTime(toDateInputValue(now))) / DAY_MS
+  )
+  const dayLabel =
+    dayOffset === 0
+      ? "Today"
+      : dayOffset === 1
+        ? "Tomorrow"
+        : dayOffset === -1
+          ? "Yesterday"
+          : new Date(getDueTime(date)).toLocaleDateString([], {
+            weekday: "short",
+            month: "short",
+            day: "numeric",
+          })
+
+  if (!time) return dayLabel
+  const timeLabel = new Date(getDueTime(due)).toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+  })
+  return `${dayLabel} ${timeLabel}`
+}
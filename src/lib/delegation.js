@@ -0,0 +1,68 @@
+import { getDueStatus, getDueTime } from "./dates.js"
+
+export const ASSIGNEE_MAX_LENGTH = 80
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+export const normalizeAssignee = (value) =>
+  typeof value === "string"
+    ? value.trim().replace(/\s+/g, " ").slice(0, ASSIGNEE_MAX_LENGTH)
+    : ""
+
+/** Follow-ups only matter while a delegated task is still open. */
+export const getFollowUpStatus = (task, now = Date.now()) =>
+  task.assignee && task.followUp && !task.completed ? getDueStatus(task.followUp, now) : null
+
+/** Every assignee on the board, alphabetically, for autocomplete. */
+export const getAllAssignees = (tasks) => {
+  const byKey = new Map()
+  tasks.forEach(task => {
+    if (task.assignee && !byKey.has(task.assignee.toLowerCase())) {
+      byKey.set(task.assignee.toLowerCase(), task.assignee)
+    }
+  })
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b))
+}
+
+const followUpTime = (task) => getDueTime(task.followUp) ?? Infinity
+
+/**
+ * Open delegated tasks grouped by person (case-insensitively), people in
+ * alphabetical order and each person's tasks by follow-up date.
+ */
+export const groupByAssignee = (tasks) => {
+  const groups = new Map()
+  tasks.forEach(task => {
+    if (!task.assignee || task.completed) return
+    const key = task.assignee.toLowerCase()
+    if (!groups.has(key)) groups.set(key, { assignee: task.assignee, tasks: [] })
+    groups.get(key).tasks.push(task)
+  })
+  return [...groups.values()]
+    .sort((a, b) => a.assignee.localeCompare(b.assignee))
+    .map(group => ({
+      ...group,
+      tasks: group.tasks.sort((a, b) => followUpTime(a) - followUpTime(b)),
+    }))
+}
+
+/** A mailto: link with a handoff message built from the task. */
+export const buildHandoffMailto = (task) => {
+  const isEmail = EMAIL_PATTERN.test(task.assignee)
+  const greeting = task.assignee && !isEmail ? `Hi ${task.assignee},` : "Hi,"
+  const lines = [greeting, "", "Could you take this on?", "", task.title]
+  if (task.notes.trim()) lines.push("", task.notes.trim())
+  if (task.followUp) {
+    const followUp = new Date(getDueTime(task.followUp)).toLocaleDateString([], {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    })
+    lines.push("", `I'll check in with you on ${followUp}.`)
+  }
+  lines.push("", "Thanks!")
+
+  const subject = encodeURIComponent(task.title)
+  const body = encodeURIComponent(lines.join("\n"))
+  return `mailto:${isEmail ? task.assignee : ""}?subject=${subject}&body=${body}`
+}
@@ -0,0 +1,58 @@
+import { getDueTime } from "./dates.js"
+import { generateId } from "./tasks.js"
+
+export const ESCALATION_TARGETS = { NI: "UI", NN: "UN" }
+export const ESCALATION_MODES = ["off", "suggest", "auto"]
+export const PROMOTION_LOG_LIMIT = 50
+
+export const DEFAULT_ESCALATION_SETTINGS = {
+  mode: "suggest",
+  thresholdDays: 2,
+}
+
+export const normalizeEscalationSettings = (raw) => ({
+  mode: ESCALATION_MODES.includes(raw?.mode)
+    ? raw.mode
+    : DEFAULT_ESCALATION_SETTINGS.mode,
+  thresholdDays:
+    Number.isFinite(raw?.thresholdDays) && raw.thresholdDays >= 0
+      ? raw.thresholdDays
+      : DEFAULT_ESCALATION_SETTINGS.thresholdDays,
+})
+
+/**
+ * Open tasks in a non-urgent quadrant whose due date is within the threshold,
+ * skipping any whose promotion was already declined for the same due date.
+ */
+export const findEscalations = (tasks, thresholdDays, now = Date.now()) => {
+  const limit = now + thresholdDays * 24 * 60 * 60 * 1000
+
+  return tasks
+    .filter(task => {
+      if (task.completed || !ESCALATION_TARGETS[task.quadrant]) return false
+      if (task.escalationDismissedFor === task.due) return false
+      const dueTime = getDueTime(task.due)
+      return dueTime !== null && dueTime <= limit
+    })
+    .sort((a, b) => getDueTime(a.due) - getDueTime(b.due))
+    .map(task => ({ task, to: ESCALATION_TARGETS[task.quadrant] }))
+}
+
+export const createPromotion = (task, to, { auto = false, now = Date.now() } = {}) => ({
+  id: generateId(),
+  taskId: task.id,
+  title: task.title,
+  from: task.quadrant,
+  to,
+  due: task.due,
+  auto,
+  at: now,
+  revertedAt: null,
+})
+
+export const normalizePromotions = (raw) => {
+  if (!Array.isArray(raw)) return []
+  return raw
+    .filter(entry => entry?.id && entry?.taskId)
+    .slice(0, PROMOTION_LOG_LIMIT)
+}
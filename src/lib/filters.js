@@ -0,0 +1,91 @@
+import { getDueStatus } from "./dates.js"
+import { normalizeTag, normalizeTags } from "./tags.js"
+
+export const STATUS_FILTERS = [
+  { id: "all", label: "All tasks" },
+  { id: "open", label: "Open" },
+  { id: "done", label: "Completed" },
+]
+
+export const DUE_FILTERS = [
+  { id: "any", label: "Any due date" },
+  { id: "overdue", label: "Overdue" },
+  { id: "soon", label: "Due within 24h" },
+  { id: "upcoming", label: "Due later" },
+  { id: "none", label: "No due date" },
+]
+
+export const DEFAULT_FILTERS = { text: "", tags: [], status: "all", due: "any" }
+
+export const normalizeFilters = (raw) => ({
+  text: typeof raw?.text === "string" ? raw.text : "",
+  tags: normalizeTags(raw?.tags),
+  status: STATUS_FILTERS.some(f => f.id === raw?.status) ? raw.status : "all",
+  due: DUE_FILTERS.some(f => f.id === raw?.due) ? raw.due : "any",
+})
+
+export const isFiltering = (filters) =>
+  Boolean(filters.text.trim()) ||
+  filters.tags.length > 0 ||
+  filters.status !== "all" ||
+  filters.due !== "any"
+
+// URL parameters: ?q=text&tag=a&tag=b&status=open&due=overdue
+const FILTER_PARAMS = ["q", "tag", "status", "due"]
+
+export const filtersFromSearch = (search) => {
+  const params = new URLSearchParams(search)
+  return normalizeFilters({
+    text: params.get("q") || "",
+    tags: params.getAll("tag"),
+    status: params.get("status") || undefined,
+    due: params.get("due") || undefined,
+  })
+}
+
+/** Writes the filters into a query string, keeping unrelated parameters. */
+export const filtersToSearch = (filters, search = "") => {
+  const params = new URLSearchParams(search)
+  FILTER_PARAMS.forEach(key => params.delete(key))
+
+  if (filters.text.trim()) params.set("q", filters.text.trim())
+  filters.tags.forEach(tag => params.append("tag", tag))
+  if (filters.status !== "all") params.set("status", filters.status)
+  if (filters.due !== "any") params.set("due", filters.due)
+
+  const query = params.toString()
+  return query ? `?${query}` : ""
+}
+
+const matchesText = (task, text) => {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean)
+  if (!words.length) return true
+
+  const haystack = [
+    task.title,
+    task.notes,
+    ...task.subtasks.map(subtask => subtask.title),
+    ...task.tags.map(tag => `#${tag}`),
+  ]
+    .join("\n")
+    .toLowerCase()
+  return words.every(word => haystack.includes(word))
+}
+
+/**
+ * Whether a task passes every active filter. Tags must all be present;
+ * `#tag` words in the text box match tags as well as titles.
+ */
+export const matchesFilters = (task, filters, now = Date.now()) => {
+  if (filters.status === "open" && task.completed) return false
+  if (filters.status === "done" && !task.completed) return false
+
+  if (filters.due !== "any") {
+    const status = task.due ? getDueStatus(task.due, now) : "none"
+    if (status !== filters.due) return false
+  }
+
+  if (!filters.tags.every(tag => task.tags.includes(normalizeTag(tag)))) return false
+
+  return matchesText(task, filters.text)
+}
@@ -0,0 +1,62 @@
+import { ensureBoards } from "./boards.js"
+import {
+  loadBoard,
+  loadBoardList,
+  removeBoardData,
+  removeBoardList,
+  saveTasks,
+  saveTombstones,
+} from "./boardStore.js"
+import { applyImport } from "./transfer.js"
+
+// Stands in for an email address in storage keys. It has no "@", so it can't
+// clash with a Google account.
+export const GUEST_EMAIL = "guest"
+
+export const GUEST_USER = { guest: true, name: "Guest", email: GUEST_EMAIL, picture: "" }
+
+export const isGuest = (user) => Boolean(user?.guest)
+
+/**
+ * The tasks kept in the guest profile, by board, leaving out empty boards.
+ * `updatedAt` is the latest edit among them, to tell whether the profile
+ * changed since the user last declined to merge it.
+ */
+export const loadGuestProfile = async () => {
+  const list = await loadBoardList(GUEST_EMAIL)
+  const entries = await Promise.all(
+    ensureBoards(list.boards).map(async board => ({
+      board,
+      tasks: (await loadBoard(GUEST_EMAIL, board.id)).tasks,
+    }))
+  )
+  const boards = entries.filter(entry => entry.tasks.length)
+  const tasks = boards.flatMap(entry => entry.tasks)
+
+  return {
+    boards,
+    taskCount: tasks.length,
+    updatedAt: Math.max(0, ...tasks.map(task => task.updatedAt || 0)),
+  }
+}
+
+/**
+ * Folds tasks into a board of `email` that isn't open, the same way an import
+ * in "merge" mode would.
+ */
+export const mergeIntoStoredBoard = async (email, boardId, tasks, now = Date.now()) => {
+  const stored = await loadBoard(email, boardId)
+  const ids = new Set(tasks.map(task => task.id))
+  const { tasks: merged } = applyImport(stored.tasks, tasks, "merge", now)
+
+  await Promise.all([
+    saveTasks(email, boardId, merged),
+    saveTombstones(email, boardId, stored.tombstones.filter(entry => !ids.has(entry.id))),
+  ])
+}
+
+export const clearGuestProfile = async () => {
+  const list = await loadBoardList(GUEST_EMAIL)
+  await Promise.all(ensureBoards(list.boards).map(board => removeBoardData(GUEST_EMAIL, board.id)))
+  await removeBoardList(GUEST_EMAIL)
+}
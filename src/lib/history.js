@@ -0,0 +1,107 @@
+export const HISTORY_LIMIT = 100
+
+const withoutTimestamp = (task) => JSON.stringify({ ...task, updatedAt: 0 })
+
+const sameTask = (a, b) => (a && b ? withoutTimestamp(a) === withoutTimestamp(b) : a === b)
+
+/**
+ * Entries hold the tasks an action changed, as `{ id, before, after }` with
+ * null where the task didn't exist, so undo and redo leave every other task,
+ * including edits merged in since, as it is.
+ * An action records `{ label, before }` with the whole board before it runs,
+ * and `completeHistoryEntry` turns that into its changes once they land.
+ */
+export const pushHistoryEntry = (history, entry) => ({
+  past: [...history.past, entry].slice(-HISTORY_LIMIT),
+  future: [],
+})
+
+export const diffTasks = (before, after) => {
+  const beforeById = new Map(before.map(task => [task.id, task]))
+  const afterById = new Map(after.map(task => [task.id, task]))
+
+  return [...new Set([...beforeById.keys(), ...afterById.keys()])]
+    .map(id => ({ id, before: beforeById.get(id) || null, after: afterById.get(id) || null }))
+    .filter(change => !sameTask(change.before, change.after))
+}
+
+/** Chains two change sets: each task goes from its first `before` to its last `after`. */
+export const combineChanges = (first, second) => {
+  const byId = new Map(first.map(change => [change.id, change]))
+  second.forEach(change => {
+    byId.set(change.id, { ...change, before: (byId.get(change.id) || change).before })
+  })
+  return [...byId.values()].filter(change => !sameTask(change.before, change.after))
+}
+
+/**
+ * Replaces the latest entry's board snapshot with what the action changed,
+ * given the tasks after it. An action that changed nothing is dropped.
+ */
+export const completeHistoryEntry = (history, tasks) => {
+  const entry = history.past[history.past.length - 1]
+  if (!entry || entry.changes) return history
+
+  const changes = diffTasks(entry.before, tasks)
+  const past = history.past.slice(0, -1)
+  return {
+    ...history,
+    past: changes.length ? [...past, { label: entry.label, changes }] : past,
+  }
+}
+
+/**
+ * Puts the tasks in `changes` back to one side of them, "before" to undo and
+ * "after" to redo, as fresh edits like `restoreSnapshot`. Other tasks are
+ * left alone.
+ */
+export const applyChanges = (currentTasks, changes, side, now = Date.now()) => {
+  const targets = new Map(changes.map(change => [change.id, change[side]]))
+  const currentIds = new Set(currentTasks.map(task => task.id))
+  const missing = changes.filter(change => change[side] && !currentIds.has(change.id))
+
+  return {
+    tasks: [
+      ...currentTasks
+        .filter(task => targets.get(task.id) !== null)
+        .map(task => {
+          const target = targets.get(task.id)
+          return !target || sameTask(task, target) ? task : { ...target, updatedAt: now }
+        }),
+      ...missing.map(change => ({ ...change[side], updatedAt: now })),
+    ],
+    restoredIds: missing.map(change => change.id),
+    removedIds: changes
+      .filter(change => !change[side] && currentIds.has(change.id))
+      .map(change => change.id),
+  }
+}
+
+/**
+ * Turns a snapshot back into the current task list as a fresh edit: tasks
+ * that differ from the current board get a new `updatedAt` so the restore
+ * wins the next cloud merge, and tasks missing from the snapshot are
+ * returned in `removedIds` so they can be tombstoned.
+ */
+export const restoreSnapshot = (currentTasks, snapshot, now = Date.now()) => {
+  const currentById = new Map(currentTasks.map(task => [task.id, task]))
+  const snapshotIds = new Set(snapshot.map(task => task.id))
+
+  const tasks = snapshot.map(task => {
+    const current = currentById.get(task.id)
+    if (current && withoutTimestamp(current) === withoutTimestamp(task)) {
+      return current
+    }
+    return { ...task, updatedAt: now }
+  })
+
+  return {
+    tasks,
+    restoredIds: snapshot
+      .filter(task => !currentById.has(task.id))
+      .map(task => task.id),
+    removedIds: currentTasks
+      .filter(task => !snapshotIds.has(task.id))
+      .map(task => task.id),
+  }
+}
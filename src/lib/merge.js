@@ -0,0 +1,90 @@
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Stamped by every device that completes or archives the task, so two that
+// both did keep the earlier time rather than conflicting over it.
+const EARLIEST_KEYS = ["completedAt", "archivedAt"]
+
+const contentKeys = (...tasks) => {
+  const keys = new Set()
+  tasks.forEach(task => {
+    if (!task) return
+    Object.keys(task).forEach(key => {
+      if (key !== "id" && key !== "updatedAt") keys.add(key)
+    })
+  })
+  return [...keys]
+}
+
+const sameContent = (a, b) =>
+  contentKeys(a, b).every(key => isEqual(a[key], b[key]))
+
+const mergeTask = (base, local, remote) => {
+  const localWins = (local.updatedAt || 0) > (remote.updatedAt || 0)
+  const merged = { id: local.id }
+  const fields = []
+
+  contentKeys(local, remote, base).forEach(key => {
+    const localValue = local[key]
+    const remoteValue = remote[key]
+    let value
+
+    if (isEqual(localValue, remoteValue)) {
+      value = localValue
+    } else if (EARLIEST_KEYS.includes(key) && localValue > 0 && remoteValue > 0) {
+      value = Math.min(localValue, remoteValue)
+    } else if (base && isEqual(localValue, base[key])) {
+      value = remoteValue
+    } else if (base && isEqual(remoteValue, base[key])) {
+      value = localValue
+    } else {
+      fields.push(key)
+      value = localWins ? localValue : remoteValue
+    }
+
+    if (value !== undefined) merged[key] = value
+  })
+
+  merged.updatedAt = Math.max(local.updatedAt || 0, remote.updatedAt || 0)
+  return { task: merged, fields }
+}
+
+/**
+ * Three-way merge of two task lists against the last snapshot both sides
+ * agreed on. Fields changed on only one side are taken from that side; a
+ * field changed differently on both sides goes to the task with the newer
+ * `updatedAt` (the remote copy on a tie) and is reported in `conflicts`,
+ * except completion and archive times set on both sides, which keep the
+ * earlier one.
+ * A task removed on one side stays removed unless the other side edited it.
+ */
+export const mergeTasks = (baseTasks, localTasks, remoteTasks) => {
+  const base = new Map(baseTasks.map(task => [task.id, task]))
+  const local = new Map(localTasks.map(task => [task.id, task]))
+  const remote = new Map(remoteTasks.map(task => [task.id, task]))
+  const ids = [...new Set([...local.keys(), ...remote.keys()])]
+
+  const tasks = []
+  const conflicts = []
+
+  ids.forEach(id => {
+    const baseTask = base.get(id)
+    const localTask = local.get(id)
+    const remoteTask = remote.get(id)
+
+    if (localTask && remoteTask) {
+      const { task, fields } = mergeTask(baseTask, localTask, remoteTask)
+      tasks.push(task)
+      if (fields.length) {
+        conflicts.push({ id, fields, local: localTask, remote: remoteTask })
+      }
+      return
+    }
+
+    const onlyTask = localTask || remoteTask
+    if (!baseTask || !sameContent(onlyTask, baseTask)) {
+      tasks.push(onlyTask)
+    }
+  })
+
+  return { tasks, conflicts }
+}
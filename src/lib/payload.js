@@ -0,0 +1,42 @@
+import { migrate } from "./schema.js"
+import { normalizeTasks, toSignature } from "./tasks.js"
+import { normalizeTombstones } from "./tombstones.js"
+
+// Upgrades for stored task data, oldest first; see `migrate`.
+const TASKS_MIGRATIONS = [
+  // 0 -> 1: the device stored a bare array of tasks.
+  data => (Array.isArray(data) ? { tasks: data } : data || {}),
+]
+
+export const SYNC_PAYLOAD_VERSION = TASKS_MIGRATIONS.length
+
+/**
+ * Upgrades a stored or exported task document to the current format.
+ * Throws SchemaVersionError for one written by a newer version of the app.
+ */
+export const migrateSyncPayload = (data) => migrate(data, TASKS_MIGRATIONS)
+
+export const createSyncPayload = (taskList, tombstoneList = [], now = Date.now()) => ({
+  version: SYNC_PAYLOAD_VERSION,
+  updatedAt: now,
+  tasks: normalizeTasks(taskList),
+  deleted: normalizeTombstones(tombstoneList),
+})
+
+export const parseSyncPayload = (data) => {
+  const migrated = migrateSyncPayload(data)
+  return {
+    tasks: normalizeTasks(migrated.tasks),
+    tombstones: normalizeTombstones(migrated.deleted),
+  }
+}
+
+export const TASKS_DOCUMENT = {
+  normalize: normalizeTasks,
+  signature: toSignature,
+  parse: (data) => {
+    const { tasks, tombstones } = parseSyncPayload(data)
+    return { records: tasks, tombstones }
+  },
+  serialize: (tasks, tombstones) => createSyncPayload(tasks, tombstones),
+}
@@ -0,0 +1,40 @@
+import {
+  loadBoard,
+  loadSyncBase,
+  saveLastSyncedAt,
+  saveSyncBase,
+  saveTasks,
+  saveTombstones,
+} from "./boardStore.js"
+import { getBoardSyncName } from "./boards.js"
+import { TASKS_DOCUMENT } from "./payload.js"
+import { reconcileDocument } from "./syncDocument.js"
+import { countPendingChanges } from "./syncQueue.js"
+
+/**
+ * Syncs a board that isn't open when its stored tasks differ from its sync
+ * base: edits a tab closed on before its queue ran, or a guest profile merged
+ * into it. Conflicts go to the newer side, as they do before the user picks
+ * one. Resolves to whether anything was pending.
+ */
+export const uploadStoredBoard = async (provider, email, boardId, now = Date.now()) => {
+  const [board, base] = await Promise.all([
+    loadBoard(email, boardId),
+    loadSyncBase(email, boardId),
+  ])
+  if (!countPendingChanges(base, board.tasks)) return false
+
+  const { records, tombstones } = await reconcileDocument(
+    provider,
+    getBoardSyncName(boardId),
+    TASKS_DOCUMENT,
+    { base, records: board.tasks, tombstones: board.tombstones }
+  )
+  await Promise.all([
+    saveTasks(email, boardId, records),
+    saveTombstones(email, boardId, tombstones),
+    saveSyncBase(email, boardId, records),
+    saveLastSyncedAt(email, boardId, now),
+  ])
+  return true
+}
@@ -0,0 +1,212 @@
+import { isValidDue, toDateInputValue } from "./dates.js"
+import { normalizeAssignee } from "./delegation.js"
+import { normalizeTag } from "./tags.js"
+
+const WEEKDAYS = [
+  ["sun", "sunday"],
+  ["mon", "monday"],
+  ["tue", "tues", "tuesday"],
+  ["wed", "weds", "wednesday"],
+  ["thu", "thur", "thurs", "thursday"],
+  ["fri", "friday"],
+  ["sat", "saturday"],
+]
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+]
+
+const MARKERS = {
+  "!urgent": { urgent: true },
+  "!u": { urgent: true },
+  "!not-urgent": { urgent: false },
+  "!important": { important: true },
+  "!i": { important: true },
+  "!not-important": { important: false },
+}
+
+// Words that read naturally before a date ("by fri", "due tomorrow") and
+// are dropped from the title along with it.
+const DATE_CONNECTORS = new Set(["by", "on", "due"])
+
+const pad = (value) => String(value).padStart(2, "0")
+
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp)
+  date.setDate(date.getDate() + days)
+  return date.getTime()
+}
+
+const weekdayIndex = (word) => WEEKDAYS.findIndex(names => names.includes(word))
+
+// "mar", "march" and "sept" name a month; "market" and "decide" don't.
+const monthIndex = (word) =>
+  word.length >= 3 ? MONTHS.findIndex(month => month.startsWith(word)) : -1
+
+/** A date in the current year, or next year when it has already passed. */
+const upcomingDate = (month, day, now) => {
+  const today = new Date(now)
+  today.setHours(0, 0, 0, 0)
+  const date = new Date(today.getFullYear(), month, day)
+  if (date.getMonth() !== month) return null
+  if (date < today) date.setFullYear(date.getFullYear() + 1)
+  return date.getTime()
+}
+
+/** Reads a date starting at `tokens[index]`; returns its day and token count. */
+const readDate = (tokens, index, now) => {
+  const [word = "", next = "", third = ""] = tokens.slice(index, index + 3)
+
+  if (word === "today") return { day: now, length: 1 }
+  if (["tomorrow", "tmr", "tmrw"].includes(word)) {
+    return { day: addDays(now, 1), length: 1 }
+  }
+
+  // "fri" can mean today; "next fri" is the first Friday after it.
+  if (word === "next" && weekdayIndex(next) !== -1) {
+    const ahead = (weekdayIndex(next) - new Date(now).getDay() + 7) % 7 || 7
+    return { day: addDays(now, ahead), length: 2 }
+  }
+  if (weekdayIndex(word) !== -1) {
+    const ahead = (weekdayIndex(word) - new Date(now).getDay() + 7) % 7
+    return { day: addDays(now, ahead), length: 1 }
+  }
+
+  const inMatch = word === "in" && /^\d+$/.test(next) && third.match(/^(day|week)s?$/)
+  if (inMatch) {
+    const days = Number(next) * (inMatch[1] === "week" ? 7 : 1)
+    return { day: addDays(now, days), length: 3 }
+  }
+
+  const iso = word.replace(/^due:/, "")
+  if (/^\d{4}-\d{2}-\d{2}$/.test(iso) && isValidDue(iso)) {
+    const [year, month, day] = iso.split("-").map(Number)
+    return { day: new Date(year, month - 1, day).getTime(), length: 1 }
+  }
+
+  if (monthIndex(word) !== -1 && /^\d{1,2}$/.test(next)) {
+    const day = upcomingDate(monthIndex(word), Number(next), now)
+    if (day !== null) return { day, length: 2 }
+  }
+  if (/^\d{1,2}$/.test(word) && monthIndex(next) !== -1) {
+    const day = upcomingDate(monthIndex(next), Number(word), now)
+    if (day !== null) return { day, length: 2 }
+  }
+
+  return null
+}
+
+/** Reads "5pm", "5:30pm", "5 pm" or "17:00" starting at `tokens[index]`. */
+const readTime = (tokens, index) => {
+  const [word = "", next = ""] = tokens.slice(index, index + 2)
+  const joined = /^(am|pm)$/.test(next) ? `${word}${next}` : word
+  const match = joined.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/)
+  if (!match || (!match[2] && !match[3])) return null
+
+  let hours = Number(match[1])
+  const minutes = Number(match[2] || 0)
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null
+    hours = (hours % 12) + (match[3] === "pm" ? 12 : 0)
+  }
+  if (hours > 23 || minutes > 59) return null
+
+  return { time: `${pad(hours)}:${pad(minutes)}`, length: joined === word ? 1 : 2 }
+}
+
+/**
+ * Splits quick-add text like "Send invoice fri 5pm #finance !urgent @dana"
+ * into a task title and the fields it mentions. Urgency and importance
+ * markers pick the quadrant; an axis without a marker keeps the value of
+ * `fallbackQuadrant`. `matches` lists what was recognized, for a preview.
+ */
+export const parseQuickAdd = (text, fallbackQuadrant = "UI", now = Date.now()) => {
+  const tokens = String(text || "").trim().split(/\s+/).filter(Boolean)
+  const lower = tokens.map(token => token.toLowerCase())
+  const titleWords = []
+  const tags = []
+  const matches = []
+  let assignee = ""
+  let urgent = null
+  let important = null
+  let day = null
+  let time = ""
+
+  for (let index = 0; index < tokens.length; ) {
+    const token = tokens[index]
+    const word = lower[index]
+
+    if (/^#[^#\s]/.test(token) && normalizeTag(token)) {
+      const tag = normalizeTag(token)
+      if (!tags.includes(tag)) tags.push(tag)
+      matches.push({ kind: "tag", text: token })
+      index += 1
+      continue
+    }
+
+    if (/^@\S/.test(token)) {
+      assignee = normalizeAssignee(token.slice(1))
+      matches.push({ kind: "assignee", text: token })
+      index += 1
+      continue
+    }
+
+    if (MARKERS[word]) {
+      const marker = MARKERS[word]
+      if ("urgent" in marker) urgent = marker.urgent
+      if ("important" in marker) important = marker.important
+      matches.push({ kind: "priority", text: token })
+      index += 1
+      continue
+    }
+
+    if (day === null) {
+      const skip = DATE_CONNECTORS.has(word) ? 1 : 0
+      const date = readDate(lower, index + skip, now)
+      if (date) {
+        day = date.day
+        const length = skip + date.length
+        matches.push({ kind: "date", text: tokens.slice(index, index + length).join(" ") })
+        index += length
+        continue
+      }
+    }
+
+    if (!time) {
+      const skip = word === "at" ? 1 : 0
+      const parsed = readTime(lower, index + skip)
+      if (parsed) {
+        const length = skip + parsed.length
+        time = parsed.time
+        matches.push({ kind: "time", text: tokens.slice(index, index + length).join(" ") })
+        index += length
+        continue
+      }
+    }
+
+    titleWords.push(token)
+    index += 1
+  }
+
+  if (time && day === null) {
+    // A bare time means the next time the clock shows it.
+    const [hours, minutes] = time.split(":").map(Number)
+    const today = new Date(now)
+    today.setHours(hours, minutes, 0, 0)
+    day = today.getTime() < now ? addDays(now, 1) : now
+  }
+
+  const date = day === null ? "" : toDateInputValue(day)
+  const isUrgent = urgent === null ? fallbackQuadrant[0] === "U" : urgent
+  const isImportant = important === null ? fallbackQuadrant[1] === "I" : important
+
+  return {
+    title: titleWords.join(" "),
+    quadrant: `${isUrgent ? "U" : "N"}${isImportant ? "I" : "N"}`,
+    due: date && time ? `${date}T${time}` : date,
+    tags,
+    assignee,
+    matches,
+  }
+}
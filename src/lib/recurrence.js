@@ -0,0 +1,164 @@
+import { joinDue, splitDue, toDateInputValue } from "./dates.js"
+
+export const RECURRENCE_FREQS = ["daily", "weekdays", "weekly", "monthly", "interval"]
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+export const normalizeRecurrence = (raw) => {
+  if (!RECURRENCE_FREQS.includes(raw?.freq)) return null
+
+  const days = Array.isArray(raw.days)
+    ? [...new Set(raw.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+    : []
+  const interval =
+    Number.isInteger(raw.interval) && raw.interval > 0 ? raw.interval : 1
+
+  return { freq: raw.freq, days, interval }
+}
+
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) return ""
+  switch (recurrence.freq) {
+    case "daily":
+      return "Daily"
+    case "weekdays":
+      return "Every weekday"
+    case "weekly":
+      return recurrence.days.length
+        ? `Weekly on ${recurrence.days.map(day => WEEKDAY_LABELS[day]).join(", ")}`
+        : "Weekly"
+    case "monthly":
+      return "Monthly"
+    default:
+      return recurrence.interval === 1 ? "Daily" : `Every ${recurrence.interval} days`
+  }
+}
+
+const parseDate = (date) => {
+  const [year, month, day] = date.split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+const addMonth = (date, anchorDay) => {
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 2, 0).getDate()
+  return new Date(date.getFullYear(), date.getMonth() + 1, Math.min(anchorDay, lastDay))
+}
+
+const stepOnce = (date, recurrence, anchor) => {
+  switch (recurrence.freq) {
+    case "weekdays": {
+      let next = addDays(date, 1)
+      while (next.getDay() === 0 || next.getDay() === 6) next = addDays(next, 1)
+      return next
+    }
+    case "weekly": {
+      const days = recurrence.days.length ? recurrence.days : [anchor.getDay()]
+      let next = addDays(date, 1)
+      while (!days.includes(next.getDay())) next = addDays(next, 1)
+      return next
+    }
+    case "monthly":
+      return addMonth(date, anchor.getDate())
+    case "interval":
+      return addDays(date, recurrence.interval)
+    default:
+      return addDays(date, 1)
+  }
+}
+
+// Steps once from the occurrence's own due date, or from the day it was
+// created when it has none, so the result doesn't depend on when or where it
+// was completed.
+const getScheduledNext = (task) => {
+  const { date, time } = splitDue(task.due)
+  const anchor = parseDate(date || toDateInputValue(task.createdAt))
+  return { next: stepOnce(anchor, task.recurrence, anchor), anchor, time, dated: Boolean(date) }
+}
+
+/**
+ * The due date of the occurrence after `task`. One completed late skips ahead
+ * to the first date that is not already in the past, and one without a due
+ * date to the first date after today. The time of day is kept.
+ */
+export const getNextDue = (task, now = Date.now()) => {
+  const today = parseDate(toDateInputValue(now))
+  const { next: scheduled, anchor, time, dated } = getScheduledNext(task)
+
+  let next = scheduled
+  while (dated ? next < today : next <= today) next = stepOnce(next, task.recurrence, anchor)
+
+  return joinDue(toDateInputValue(next.getTime()), time)
+}
+
+/**
+ * The next occurrence gets its id and `createdAt` from its series and the date
+ * it was scheduled for, before skipping past days, so two devices completing
+ * the same occurrence before syncing create the same task and the merge folds
+ * them together instead of duplicating it. Completed late on different days,
+ * the two copies can skip ahead to different due dates, which the merge
+ * reports as a conflict.
+ */
+export const createNextOccurrence = (task, now = Date.now()) => {
+  const seriesId = task.seriesId || task.id
+  const { next, time } = getScheduledNext(task)
+  const due = getNextDue(task, now)
+
+  return {
+    ...task,
+    id: `${seriesId}@${joinDue(toDateInputValue(next.getTime()), time)}`,
+    seriesId,
+    completed: false,
+    completedAt: 0,
+    archivedAt: 0,
+    subtasks: task.subtasks.map(subtask => ({ ...subtask, completed: false })),
+    due,
+    escalationDismissedFor: "",
+    createdAt: next.getTime(),
+    snoozedUntil: 0,
+    updatedAt: now,
+  }
+}
+
+/**
+ * Finds recurring tasks that were open in `previousTasks` and are completed in
+ * `nextTasks`. Each completed occurrence stops repeating and moves to the
+ * archive, and the next occurrence is appended to the same quadrant.
+ */
+export const completeOccurrences = (previousTasks, nextTasks, now = Date.now()) => {
+  const wasOpen = new Set(previousTasks.filter(t => !t.completed).map(t => t.id))
+  const knownIds = new Set(nextTasks.map(t => t.id))
+  const spawned = []
+
+  const updated = nextTasks.map(task => {
+    if (!task.completed || !task.recurrence || !wasOpen.has(task.id)) return task
+
+    const next = createNextOccurrence(task, now)
+    if (!knownIds.has(next.id)) {
+      knownIds.add(next.id)
+      spawned.push(next)
+    }
+    return {
+      ...task,
+      recurrence: null,
+      seriesId: next.seriesId,
+      archivedAt: task.archivedAt || now,
+      updatedAt: now,
+    }
+  })
+
+  const quadrantSizes = {}
+  updated.forEach(task => {
+    quadrantSizes[task.quadrant] = (quadrantSizes[task.quadrant] || 0) + 1
+  })
+
+  return [
+    ...updated,
+    ...spawned.map(task => {
+      const order = quadrantSizes[task.quadrant] || 0
+      quadrantSizes[task.quadrant] = order + 1
+      return { ...task, order }
+    }),
+  ]
+}
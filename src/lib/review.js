@@ -0,0 +1,71 @@
+import { isArchived } from "./archive.js"
+import { completeOccurrences } from "./recurrence.js"
+import { QUADRANTS, moveTaskToQuadrant, setTaskCompleted } from "./tasks.js"
+
+export const DEFAULT_REVIEW_STALE_DAYS = 14
+export const REVIEW_SNOOZE_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const REVIEW_ACTIONS = [
+  { id: "keep", label: "Keep", key: "k" },
+  { id: "complete", label: "Complete", key: "x" },
+  { id: "snooze", label: `Snooze ${REVIEW_SNOOZE_DAYS} days`, key: "s" },
+  { id: "delete", label: "Delete", key: "Delete" },
+]
+
+export const normalizeReviewStaleDays = (value) =>
+  Number.isFinite(value) && value >= 1 ? Math.round(value) : DEFAULT_REVIEW_STALE_DAYS
+
+/** True when a task hasn't been edited for more than `staleDays` days. */
+export const isStale = (task, staleDays, now = Date.now()) =>
+  now - task.updatedAt > staleDays * DAY_MS
+
+export const isSnoozed = (task, now = Date.now()) => task.snoozedUntil > now
+
+/**
+ * Ids of the open tasks to review, quadrant by quadrant in board order.
+ * Snoozed tasks are left out until their snooze runs out.
+ */
+export const buildReviewQueue = (tasks, { staleDays, staleOnly = false }, now = Date.now()) =>
+  QUADRANTS.flatMap(q =>
+    tasks
+      .filter(
+        task =>
+          task.quadrant === q.id &&
+          !task.completed &&
+          !isArchived(task) &&
+          !isSnoozed(task, now) &&
+          (!staleOnly || isStale(task, staleDays, now))
+      )
+      .sort((a, b) => a.order - b.order)
+      .map(task => task.id)
+  )
+
+/**
+ * Applies one review decision to the task list. Keeping a task counts as
+ * touching it, so it isn't flagged as stale again until the threshold passes.
+ */
+export const applyReviewAction = (tasks, id, action, now = Date.now()) => {
+  switch (action.type) {
+    case "keep":
+      return tasks.map(t => (t.id === id ? { ...t, updatedAt: now } : t))
+    case "move":
+      return moveTaskToQuadrant(tasks, id, action.quadrant, {}, now)
+    case "complete":
+      return completeOccurrences(
+        tasks,
+        tasks.map(t => (t.id === id ? setTaskCompleted(t, true, now) : t)),
+        now
+      )
+    case "snooze":
+      return tasks.map(t =>
+        t.id === id
+          ? { ...t, snoozedUntil: now + REVIEW_SNOOZE_DAYS * DAY_MS, updatedAt: now }
+          : t
+      )
+    case "delete":
+      return tasks.filter(t => t.id !== id)
+    default:
+      return tasks
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Thrown when stored data comes from a newer version of the app than this
+ * one, so reading it could lose whatever that version added.
+ */
+export class SchemaVersionError extends Error {
+  constructor(version) {
+    super("This board was saved by a newer version of the app. Reload or update the app to sync it.")
+    this.name = "SchemaVersionError"
+    this.version = version
+  }
+}
+
+/**
+ * Brings stored data up to date by running the `migrations` it hasn't been
+ * through yet, in order: step n turns version n data into version n + 1, and
+ * data without a version counts as version 0. The current version is
+ * therefore `migrations.length`.
+ *
+ * New optional fields don't need a step, since unknown fields are kept (see
+ * `keepUnknownFields`); add one only when older data can't be read as is.
+ */
+export const migrate = (data, migrations) => {
+  const current = migrations.length
+  const version = Number.isInteger(data?.version) ? data.version : 0
+  if (version > current) throw new SchemaVersionError(version)
+
+  const migrated = migrations.slice(version).reduce((result, step) => step(result), data)
+  return { ...migrated, version: current }
+}
+
+/**
+ * Adds the fields of `raw` that `normalized` doesn't have, so records written
+ * by a newer version of the app keep their extra fields when this one saves
+ * them again.
+ */
+export const keepUnknownFields = (raw, normalized) => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return normalized
+
+  const unknown = Object.entries(raw).filter(
+    ([key, value]) => !(key in normalized) && value !== undefined
+  )
+  return unknown.length ? { ...normalized, ...Object.fromEntries(unknown) } : normalized
+}
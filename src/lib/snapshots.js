@@ -0,0 +1,57 @@
+const HOUR_MS = 60 * 60 * 1000
+
+export const SNAPSHOT_TIERS = [
+  { id: "hourly", label: "Hourly", periodMs: HOUR_MS, keep: 24 },
+  { id: "daily", label: "Daily", periodMs: 24 * HOUR_MS, keep: 30 },
+]
+
+export const getSnapshotTierLabel = (tierId) =>
+  SNAPSHOT_TIERS.find(tier => tier.id === tierId)?.label || "Backup"
+
+/**
+ * Works out which snapshots a sync at `now` should add and which old ones
+ * fall out of retention. A tier is due once its newest snapshot is from an
+ * earlier hour or day.
+ */
+export const planSnapshots = (existing, now = Date.now()) => {
+  const create = []
+  const remove = []
+
+  SNAPSHOT_TIERS.forEach(tier => {
+    const ofTier = existing
+      .filter(snapshot => snapshot.tier === tier.id)
+      .sort((a, b) => b.modifiedAt - a.modifiedAt)
+    const due =
+      !ofTier.length ||
+      Math.floor(ofTier[0].modifiedAt / tier.periodMs) < Math.floor(now / tier.periodMs)
+
+    if (due) create.push(tier.id)
+    remove.push(...ofTier.slice(due ? tier.keep - 1 : tier.keep))
+  })
+
+  return { create, remove }
+}
+
+// The hour each provider last brought a document's snapshots up to date, so
+// syncs within the same hour skip listing them again.
+const checkedHours = new WeakMap()
+
+/**
+ * Keeps rolling hourly and daily snapshots of a synced document next to it,
+ * for providers that store backups through the app (`writeBackup`).
+ */
+export const takeSnapshots = async (provider, name, data, { count }, now = Date.now()) => {
+  if (!provider.writeBackup) return
+
+  const hours = checkedHours.get(provider) || new Map()
+  checkedHours.set(provider, hours)
+  const hour = Math.floor(now / HOUR_MS)
+  if (hours.get(name) === hour) return
+
+  const { create, remove } = planSnapshots(await provider.listBackups(name), now)
+  for (const tier of create) {
+    await provider.writeBackup(name, data, { tier, takenAt: now, count })
+  }
+  await Promise.all(remove.map(snapshot => provider.deleteBackup(name, snapshot.id)))
+  hours.set(name, hour)
+}
@@ -0,0 +1,101 @@
+const DB_NAME = "eisenhower"
+const DB_VERSION = 1
+const STORE_NAME = "keyval"
+
+let databasePromise = null
+let migrationPromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return databasePromise
+}
+
+// Browsers without IndexedDB (or with it disabled) keep using localStorage so
+// the app still works, just without the larger quota.
+const hasIndexedDb = () => openDatabase().then(() => true, () => false)
+
+const runTransaction = async (mode, operation) => {
+  const database = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode)
+    const request = operation(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export const getItem = async (key) => {
+  if (await hasIndexedDb()) {
+    return runTransaction("readonly", store => store.get(key))
+  }
+  const stored = localStorage.getItem(key)
+  return stored === null ? undefined : JSON.parse(stored)
+}
+
+export const setItem = async (key, value) => {
+  if (await hasIndexedDb()) {
+    await runTransaction("readwrite", store => store.put(value, key))
+    return
+  }
+  localStorage.setItem(key, JSON.stringify(value))
+}
+
+export const removeItem = async (key) => {
+  if (await hasIndexedDb()) {
+    await runTransaction("readwrite", store => store.delete(key))
+    return
+  }
+  localStorage.removeItem(key)
+}
+
+const migrateKeys = async (prefixes) => {
+  if (!(await hasIndexedDb())) return
+
+  const keys = Object.keys(localStorage).filter(key =>
+    prefixes.some(prefix => key.startsWith(`${prefix}:`))
+  )
+
+  for (const key of keys) {
+    let value
+    try {
+      value = JSON.parse(localStorage.getItem(key))
+    } catch {
+      localStorage.removeItem(key)
+      continue
+    }
+
+    if ((await getItem(key)) === undefined) {
+      await setItem(key, value)
+    }
+    localStorage.removeItem(key)
+  }
+}
+
+/**
+ * Moves every localStorage entry under the given key prefixes into
+ * IndexedDB, once per page load. Entries are removed from localStorage only
+ * after they have been written, so a failed migration is retried next time.
+ */
+export const migrateFromLocalStorage = (prefixes) => {
+  if (!migrationPromise) {
+    migrationPromise = migrateKeys(prefixes).catch(() => {
+      migrationPromise = null
+    })
+  }
+  return migrationPromise
+}
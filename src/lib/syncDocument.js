@@ -0,0 +1,57 @@
+import { mergeTasks } from "./merge.js"
+import { SyncConflictError } from "./syncProviders/index.js"
+import { applyTombstones, compactTombstones, mergeTombstones } from "./tombstones.js"
+
+const CONFLICT_RETRIES = 3
+
+/**
+ * Brings one synced document up to date with the local records: reads the
+ * remote copy, merges it against `base` (the last state both sides agreed
+ * on), drops tombstoned records and writes the result back when it differs.
+ * The write is conditional on the version that was read; if another device
+ * wrote in between, the read and merge are repeated.
+ *
+ * Resolves to `{ records, tombstones, conflicts }`, where `conflicts` lists
+ * the records both sides changed differently (see `mergeTasks`) that
+ * survived the merge; they hold the newer side's fields until the user
+ * picks a version.
+ *
+ * `kind` describes the document: `normalize(records)`, `signature(records,
+ * tombstones)`, `parse(data)` -> `{ records, tombstones }` and
+ * `serialize(records, tombstones)`.
+ */
+export const reconcileDocument = async (provider, name, kind, { base, records, tombstones }) => {
+  for (let attempt = 1; ; attempt++) {
+    const remoteDocument = await provider.read(name)
+    const remote = kind.parse(remoteDocument.data)
+    const { tasks: combined, conflicts } = remoteDocument.exists
+      ? mergeTasks(base, records, remote.records)
+      : { tasks: records, conflicts: [] }
+    const merged = applyTombstones(
+      kind.normalize(combined),
+      compactTombstones(mergeTombstones(tombstones, remote.tombstones))
+    )
+    const survivors = new Set(merged.tasks.map(record => record.id))
+    const result = {
+      records: merged.tasks,
+      tombstones: merged.tombstones,
+      conflicts: conflicts.filter(conflict => survivors.has(conflict.id)),
+    }
+
+    if (
+      kind.signature(merged.tasks, merged.tombstones) ===
+      kind.signature(remote.records, remote.tombstones)
+    ) {
+      return result
+    }
+
+    try {
+      await provider.write(name, kind.serialize(merged.tasks, merged.tombstones), {
+        version: remoteDocument.version,
+      })
+      return result
+    } catch (error) {
+      if (!(error instanceof SyncConflictError) || attempt >= CONFLICT_RETRIES) throw error
+    }
+  }
+}
@@ -0,0 +1,215 @@
+import { SyncAuthError, SyncConflictError } from "./errors.js"
+
+const DRIVE_FILES_API = "https://www.googleapis.com/drive/v3/files"
+const DRIVE_UPLOAD_API = "https://www.googleapis.com/upload/drive/v3/files"
+
+// A file id cached here outlives the file when another device deletes it.
+const isNotFound = (error) => error?.status === 404
+
+/**
+ * Stores documents as JSON files in the app's hidden Drive appDataFolder.
+ * Drive has no conditional writes, so `write` compares the file's version
+ * number just before uploading. Backups are separate files in the same
+ * folder, tagged with the document they belong to through `appProperties`.
+ */
+export const createDriveProvider = ({ getAccessToken }) => {
+  const fileIds = new Map()
+
+  const driveFetch = async (url, { method = "GET", body, headers } = {}) => {
+    const token = await getAccessToken({ interactive: false })
+    if (!token) throw new SyncAuthError("Google Drive authorization is required.")
+
+    const send = accessToken =>
+      fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          ...(headers || {}),
+        },
+        body,
+      })
+
+    let response = await send(token)
+
+    // Tokens can be revoked or expire before the time Google gave us, so
+    // fetch a fresh one without prompting and try once more.
+    if (response.status === 401) {
+      const freshToken = await getAccessToken({ interactive: false, forceRefresh: true })
+      if (!freshToken) throw new SyncAuthError()
+      response = await send(freshToken)
+      if (response.status === 401) throw new SyncAuthError()
+    }
+
+    if (response.status === 204) return null
+    if (!response.ok) {
+      const text = await response.text()
+      const error = new Error(text || `Drive API error: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    const contentType = response.headers.get("content-type") || ""
+    if (contentType.includes("application/json")) {
+      return response.json()
+    }
+    return response.text()
+  }
+
+  const findFileId = async (name) => {
+    if (fileIds.has(name)) return fileIds.get(name)
+
+    const query = encodeURIComponent(
+      `name='${name}' and 'appDataFolder' in parents and trashed=false`
+    )
+    const url = `${DRIVE_FILES_API}?spaces=appDataFolder&fields=files(id)&pageSize=1&q=${query}`
+    const data = await driveFetch(url)
+    const id = data?.files?.[0]?.id || null
+    if (id) fileIds.set(name, id)
+    return id
+  }
+
+  const readVersion = async (id) => {
+    const meta = await driveFetch(`${DRIVE_FILES_API}/${id}?fields=version`)
+    return meta?.version ? String(meta.version) : null
+  }
+
+  const createFile = async (name, data, appProperties) => {
+    const boundary = `batch_${Math.random().toString(16).slice(2)}`
+    const metadata = {
+      name,
+      parents: ["appDataFolder"],
+      mimeType: "application/json",
+      ...(appProperties ? { appProperties } : {}),
+    }
+
+    const body = [
+      `--${boundary}`,
+      "Content-Type: application/json; charset=UTF-8",
+      "",
+      JSON.stringify(metadata),
+      `--${boundary}`,
+      "Content-Type: application/json; charset=UTF-8",
+      "",
+      JSON.stringify(data),
+      `--${boundary}--`,
+      "",
+    ].join("\r\n")
+
+    const created = await driveFetch(`${DRIVE_UPLOAD_API}?uploadType=multipart&fields=id,version`, {
+      method: "POST",
+      body,
+      headers: {
+        "Content-Type": `multipart/related; boundary=${boundary}`,
+      },
+    })
+
+    return created
+  }
+
+  const readFile = async (id) => {
+    const data = await driveFetch(`${DRIVE_FILES_API}/${id}?alt=media`)
+    return typeof data === "string" ? JSON.parse(data) : data
+  }
+
+  const deleteFile = async (id) => {
+    try {
+      await driveFetch(`${DRIVE_FILES_API}/${id}`, { method: "DELETE" })
+    } catch (error) {
+      if (!isNotFound(error)) throw error
+    }
+  }
+
+  const listBackups = async (name) => {
+    const query = encodeURIComponent(
+      `'appDataFolder' in parents and trashed=false and appProperties has { key='backupOf' and value='${name}' }`
+    )
+    const data = await driveFetch(
+      `${DRIVE_FILES_API}?spaces=appDataFolder&pageSize=200&fields=files(id,size,createdTime,appProperties)&q=${query}`
+    )
+    return (data?.files || [])
+      .map(file => ({
+        id: file.id,
+        modifiedAt: Number(file.appProperties?.takenAt) || Date.parse(file.createdTime) || 0,
+        size: Number(file.size) || 0,
+        tier: file.appProperties?.tier || "",
+        count: file.appProperties?.count ? Number(file.appProperties.count) : null,
+      }))
+      .sort((a, b) => b.modifiedAt - a.modifiedAt)
+  }
+
+  return {
+    id: "drive",
+    label: "Google Drive",
+
+    authorize: async ({ interactive } = {}) =>
+      Boolean(await getAccessToken({ interactive: Boolean(interactive) })),
+
+    read: async (name) => {
+      const id = await findFileId(name)
+      if (!id) return { exists: false, data: null, version: null }
+
+      try {
+        const version = await readVersion(id)
+        return { exists: true, data: await readFile(id), version }
+      } catch (error) {
+        if (!isNotFound(error)) throw error
+        fileIds.delete(name)
+        return { exists: false, data: null, version: null }
+      }
+    },
+
+    write: async (name, data, { version = null } = {}) => {
+      const id = await findFileId(name)
+      if (!id) {
+        if (version) throw new SyncConflictError()
+        const created = await createFile(name, data)
+        if (created?.id) fileIds.set(name, created.id)
+        return { version: created?.version ? String(created.version) : null }
+      }
+
+      const current = await readVersion(id).catch(error => {
+        if (!isNotFound(error)) throw error
+        // Gone since it was read; the caller reads again and finds that out.
+        fileIds.delete(name)
+        throw new SyncConflictError()
+      })
+      if (current !== version) throw new SyncConflictError()
+
+      const updated = await driveFetch(`${DRIVE_UPLOAD_API}/${id}?uploadType=media&fields=version`, {
+        method: "PATCH",
+        body: JSON.stringify(data),
+        headers: {
+          "Content-Type": "application/json",
+        },
+      })
+      return { version: updated?.version ? String(updated.version) : null }
+    },
+
+    remove: async (name) => {
+      const backups = await listBackups(name)
+      await Promise.all(backups.map(backup => deleteFile(backup.id)))
+
+      const id = await findFileId(name)
+      if (!id) return
+      await deleteFile(id)
+      fileIds.delete(name)
+    },
+
+    listBackups,
+
+    readBackup: async (name, id) => readFile(id),
+
+    writeBackup: async (name, data, { tier, takenAt, count }) => {
+      const fileName = `${name.replace(/\.json$/, "")}.${tier}-${takenAt}.json`
+      const created = await createFile(fileName, data, {
+        backupOf: name,
+        tier,
+        takenAt: String(takenAt),
+        count: String(count ?? ""),
+      })
+      return { id: created?.id || null }
+    },
+
+    deleteBackup: (name, id) => deleteFile(id),
+  }
+}
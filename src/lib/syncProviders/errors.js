@@ -0,0 +1,21 @@
+/**
+ * Thrown by a provider's `write` when the remote document changed since the
+ * version the caller read. Callers re-read, merge and try again.
+ */
+export class SyncConflictError extends Error {
+  constructor(message = "The remote copy changed since it was last read.") {
+    super(message)
+    this.name = "SyncConflictError"
+  }
+}
+
+/**
+ * Thrown when the provider rejects the credentials and they can't be renewed
+ * without the user, e.g. a Drive token that a silent refresh couldn't replace.
+ */
+export class SyncAuthError extends Error {
+  constructor(message = "Cloud sync needs you to sign in again.") {
+    super(message)
+    this.name = "SyncAuthError"
+  }
+}
@@ -0,0 +1,69 @@
+import { createDriveProvider } from "./drive.js"
+import { createRestProvider } from "./rest.js"
+
+export { SyncAuthError, SyncConflictError } from "./errors.js"
+
+/*
+ * A sync provider stores named JSON documents for the signed-in user:
+ *
+ *   authorize({ interactive })   -> Promise<boolean>
+ *   read(name)                   -> Promise<{ exists, data, version }>
+ *   write(name, data, { version }) -> Promise<{ version }>
+ *   remove(name)                 -> Promise<void>
+ *   listBackups(name)            -> Promise<[{ id, modifiedAt, size, tier, count }]>
+ *   readBackup(name, id)         -> Promise<data>
+ *
+ * Providers that keep backups themselves (a REST server copying each
+ * version it replaces) stop there. The others also offer
+ *
+ *   writeBackup(name, data, { tier, takenAt, count }) -> Promise<{ id }>
+ *   deleteBackup(name, id)       -> Promise<void>
+ *
+ * and the app keeps rolling snapshots with them (see lib/snapshots.js).
+ *
+ * `version` is opaque (a Drive version number, an HTTP ETag). `write` throws
+ * SyncConflictError when the stored version no longer matches, and a null
+ * version means "only if the document does not exist yet". `remove` takes
+ * the document's backups with it and succeeds when it is already gone.
+ * Any call throws SyncAuthError when the credentials were rejected.
+ */
+
+export const SYNC_PROVIDERS = [
+  { id: "drive", label: "Google Drive" },
+  { id: "rest", label: "WebDAV / REST server" },
+]
+
+export const DEFAULT_SYNC_SETTINGS = {
+  provider: "drive",
+  rest: { url: "", username: "", password: "", remember: false },
+}
+
+const asString = (value) => (typeof value === "string" ? value : "")
+
+export const normalizeSyncSettings = (raw) => ({
+  provider: SYNC_PROVIDERS.some(p => p.id === raw?.provider)
+    ? raw.provider
+    : DEFAULT_SYNC_SETTINGS.provider,
+  rest: {
+    url: asString(raw?.rest?.url).trim(),
+    username: asString(raw?.rest?.username),
+    password: asString(raw?.rest?.password),
+    // Settings saved before this option existed kept the password.
+    remember:
+      typeof raw?.rest?.remember === "boolean"
+        ? raw.rest.remember
+        : Boolean(asString(raw?.rest?.password)),
+  },
+})
+
+/**
+ * The settings as they may be written to localStorage, which is unencrypted:
+ * the password only when the user chose to remember it on this device.
+ */
+export const toStoredSyncSettings = (settings) =>
+  settings.rest.remember ? settings : { ...settings, rest: { ...settings.rest, password: "" } }
+
+export const createSyncProvider = (settings, { getGoogleAccessToken }) =>
+  settings.provider === "rest"
+    ? createRestProvider(settings.rest)
+    : createDriveProvider({ getAccessToken: getGoogleAccessToken })
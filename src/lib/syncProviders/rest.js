@@ -0,0 +1,116 @@
+import { SyncAuthError, SyncConflictError } from "./errors.js"
+
+const getAuthorizationHeader = ({ username, password }) => {
+  if (username) return `Basic ${btoa(`${username}:${password}`)}`
+  if (password) return `Bearer ${password}`
+  return null
+}
+
+/**
+ * Stores documents on a user-configured server with plain GET, PUT and
+ * DELETE, so any WebDAV share works. Writes are conditional on the ETag that was read
+ * (`If-Match`), or on the document not existing yet (`If-None-Match: *`).
+ * Backups are listed from `GET <url>/backups/<name>` and read from
+ * `GET <url>/backups/<name>/<id>` when the server offers them; see
+ * scripts/sync-server.js for a stand-in that does.
+ */
+export const createRestProvider = ({ url, username, password }) => {
+  const baseUrl = (url || "").trim().replace(/\/+$/, "")
+  const authorization = getAuthorizationHeader({ username, password })
+
+  const request = (path, { method = "GET", body, headers } = {}) => {
+    if (!baseUrl) throw new Error("No sync server URL is configured.")
+
+    return fetch(`${baseUrl}/${path}`, {
+      method,
+      cache: "no-store",
+      headers: {
+        ...(authorization ? { Authorization: authorization } : {}),
+        ...(headers || {}),
+      },
+      body,
+    })
+  }
+
+  const fail = async (response) => {
+    if (response.status === 401) {
+      throw new SyncAuthError(
+        password
+          ? "The sync server didn't accept the username or password."
+          : "The sync server needs a password. Enter it under ⚙ next to the sync status."
+      )
+    }
+    const text = await response.text().catch(() => "")
+    throw new Error(text || `Sync server error: ${response.status}`)
+  }
+
+  return {
+    id: "rest",
+    label: "WebDAV / REST server",
+
+    authorize: async () => Boolean(baseUrl),
+
+    read: async (name) => {
+      const response = await request(encodeURIComponent(name), {
+        headers: { Accept: "application/json" },
+      })
+      if (response.status === 404) return { exists: false, data: null, version: null }
+      if (!response.ok) await fail(response)
+
+      const text = await response.text()
+      return {
+        exists: true,
+        data: text ? JSON.parse(text) : null,
+        version: response.headers.get("ETag"),
+      }
+    },
+
+    write: async (name, data, { version = null } = {}) => {
+      const response = await request(encodeURIComponent(name), {
+        method: "PUT",
+        body: JSON.stringify(data),
+        headers: {
+          "Content-Type": "application/json",
+          ...(version ? { "If-Match": version } : { "If-None-Match": "*" }),
+        },
+      })
+      if (response.status === 412) throw new SyncConflictError()
+      if (!response.ok) await fail(response)
+
+      return { version: response.headers.get("ETag") }
+    },
+
+    remove: async (name) => {
+      const response = await request(encodeURIComponent(name), { method: "DELETE" })
+      if (response.status === 404) return
+      if (!response.ok) await fail(response)
+    },
+
+    listBackups: async (name) => {
+      const response = await request(`backups/${encodeURIComponent(name)}`, {
+        headers: { Accept: "application/json" },
+      })
+      if ([404, 405, 501].includes(response.status)) return []
+      if (!response.ok) await fail(response)
+
+      const data = await response.json()
+      return (Array.isArray(data) ? data : [])
+        .map(backup => ({
+          id: String(backup?.id ?? ""),
+          modifiedAt: Number(backup?.modifiedAt) || 0,
+          size: Number(backup?.size) || 0,
+        }))
+        .filter(backup => backup.id)
+        .sort((a, b) => b.modifiedAt - a.modifiedAt)
+    },
+
+    readBackup: async (name, id) => {
+      const response = await request(
+        `backups/${encodeURIComponent(name)}/${encodeURIComponent(id)}`,
+        { headers: { Accept: "application/json" } }
+      )
+      if (!response.ok) await fail(response)
+      return response.json()
+    },
+  }
+}
@@ -0,0 +1,120 @@
+import { SchemaVersionError } from "./schema.js"
+import { SyncAuthError } from "./syncProviders/index.js"
+import { normalizeTask } from "./tasks.js"
+
+export const SYNC_DEBOUNCE_MS = 700
+export const RETRY_BASE_MS = 2000
+export const RETRY_MAX_MS = 5 * 60 * 1000
+
+/**
+ * Exponential backoff for the nth failed attempt, with ±25% jitter so
+ * devices that lost the connection together don't retry in lockstep.
+ */
+export const getRetryDelay = (attempt, random = Math.random) => {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1))
+  return Math.round(Math.min(RETRY_MAX_MS, delay * (0.75 + random() * 0.5)))
+}
+
+/**
+ * Counts the tasks added, edited or deleted since the last successful sync,
+ * given the tasks as they were then.
+ */
+export const countPendingChanges = (base, tasks) => {
+  const synced = new Map(base.map(task => [task.id, JSON.stringify(normalizeTask(task))]))
+  const current = new Set(tasks.map(task => task.id))
+
+  const changed = tasks.filter(
+    task => synced.get(task.id) !== JSON.stringify(normalizeTask(task))
+  ).length
+  const removed = base.filter(task => !current.has(task.id)).length
+  return changed + removed
+}
+
+export const formatLastSynced = (timestamp, now = Date.now()) => {
+  if (!timestamp) return ""
+  const date = new Date(timestamp)
+  const time = date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+  return date.toDateString() === new Date(now).toDateString()
+    ? time
+    : `${date.toLocaleDateString([], { month: "short", day: "numeric" })}, ${time}`
+}
+
+// Retrying these can't help until the user signs in again or updates the app.
+const needsUser = (error) =>
+  error instanceof SyncAuthError || error instanceof SchemaVersionError
+
+/**
+ * Runs `run` whenever local changes are waiting to go up, one run at a time.
+ * Changes made during a run are picked up by another run right after it; a
+ * failed run is retried with backoff, unless the error needs the user (a
+ * SyncAuthError or SchemaVersionError), in which case it waits for the next
+ * change or an explicit flush. Nothing runs while offline.
+ *
+ * The queue itself keeps no copy of the changes: they are already saved on
+ * the device, and the next load syncs them, whichever board is open then
+ * (see pendingUploads.js).
+ */
+export const createSyncQueue = ({ run, onError = () => {}, online = true }) => {
+  let pending = false
+  let running = false
+  let attempt = 0
+  let timer = null
+  let closed = false
+
+  const schedule = (delay) => {
+    clearTimeout(timer)
+    timer = setTimeout(drain, delay)
+  }
+
+  const drain = async () => {
+    clearTimeout(timer)
+    timer = null
+    if (closed || running || !pending || !online) return
+
+    running = true
+    pending = false
+    try {
+      await run()
+      attempt = 0
+    } catch (error) {
+      pending = true
+      attempt += 1
+      const delay = needsUser(error) ? null : getRetryDelay(attempt)
+      if (delay !== null && !closed) schedule(delay)
+      onError(error, { delay, online })
+    } finally {
+      running = false
+    }
+
+    if (pending && attempt === 0) drain()
+  }
+
+  return {
+    request: () => {
+      pending = true
+      // A scheduled retry already covers these changes.
+      if (closed || (attempt > 0 && timer)) return
+      schedule(SYNC_DEBOUNCE_MS)
+    },
+    flush: ({ force = false } = {}) => {
+      if (force) pending = true
+      if (!pending) return
+      attempt = 0
+      drain()
+    },
+    setOnline: (value) => {
+      online = value
+      if (!online) {
+        clearTimeout(timer)
+        timer = null
+        return
+      }
+      attempt = 0
+      drain()
+    },
+    close: () => {
+      closed = true
+      clearTimeout(timer)
+    },
+  }
+}
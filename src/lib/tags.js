@@ -0,0 +1,26 @@
+export const TAG_MAX_LENGTH = 32
+
+/** Tags are compared case-insensitively, so they are stored lower-cased. */
+export const normalizeTag = (value) =>
+  String(value || "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, "-")
+    .toLowerCase()
+    .slice(0, TAG_MAX_LENGTH)
+
+export const normalizeTags = (rawTags) => {
+  if (!Array.isArray(rawTags)) return []
+  return [...new Set(rawTags.map(normalizeTag).filter(Boolean))]
+}
+
+/** Every tag on the board, most used first. */
+export const getAllTags = (tasks) => {
+  const counts = new Map()
+  tasks.forEach(task => {
+    task.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+  })
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag)
+}
@@ -0,0 +1,199 @@
+import { isValidDue } from "./dates.js"
+import { normalizeAssignee } from "./delegation.js"
+import { normalizeRecurrence } from "./recurrence.js"
+import { keepUnknownFields } from "./schema.js"
+import { normalizeTags } from "./tags.js"
+import { mergeTombstones } from "./tombstones.js"
+
+export const QUADRANTS = [
+  { id: "UI", title: "Urgent & Important", subtitle: "Do first" },
+  { id: "NI", title: "Not Urgent & Important", subtitle: "Schedule" },
+  { id: "UN", title: "Urgent & Not Important", subtitle: "Delegate" },
+  { id: "NN", title: "Not Urgent & Not Important", subtitle: "Eliminate" },
+]
+
+export const VALID_QUADRANTS = new Set(QUADRANTS.map(q => q.id))
+
+export const SCORE_THRESHOLD = 50
+
+export const QUADRANT_DEFAULT_SCORES = {
+  UI: { urgency: 75, importance: 75 },
+  NI: { urgency: 25, importance: 75 },
+  UN: { urgency: 75, importance: 25 },
+  NN: { urgency: 25, importance: 25 },
+}
+
+const clampScore = (value) => Math.min(100, Math.max(0, Math.round(value)))
+
+export const quadrantFromScores = ({ urgency, importance }) =>
+  `${urgency >= SCORE_THRESHOLD ? "U" : "N"}${importance >= SCORE_THRESHOLD ? "I" : "N"}`
+
+/**
+ * Scores that place a task in `quadrant` while keeping whichever axis
+ * already agrees with it, so moving a task keeps as much nuance as possible.
+ */
+export const scoresForQuadrant = (task, quadrant) => {
+  const defaults = QUADRANT_DEFAULT_SCORES[quadrant]
+  const current = quadrantFromScores(task)
+  return {
+    urgency: current[0] === quadrant[0] ? task.urgency : defaults.urgency,
+    importance: current[1] === quadrant[1] ? task.importance : defaults.importance,
+  }
+}
+
+export const getPriorityScore = (task) => task.urgency + task.importance
+
+export const generateId = () => {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `task_${Date.now()}_${Math.random().toString(16).slice(2)}`
+}
+
+export const normalizeSubtasks = (rawSubtasks) => {
+  if (!Array.isArray(rawSubtasks)) return []
+  return rawSubtasks
+    .filter(subtask => typeof subtask?.title === "string")
+    .map(subtask =>
+      keepUnknownFields(subtask, {
+        id: subtask.id || generateId(),
+        title: subtask.title,
+        completed: Boolean(subtask.completed),
+      })
+    )
+}
+
+export const getSubtaskProgress = (task) => ({
+  done: task.subtasks.filter(subtask => subtask.completed).length,
+  total: task.subtasks.length,
+})
+
+/**
+ * Replaces a task's checklist. With `completeParent`, checking off the last
+ * open subtask also completes the task itself.
+ */
+export const applySubtasks = (task, subtasks, { completeParent = false, now = Date.now() } = {}) => {
+  const wasDone = task.subtasks.length > 0 && task.subtasks.every(s => s.completed)
+  const isDone = subtasks.length > 0 && subtasks.every(s => s.completed)
+
+  const next = { ...task, subtasks, updatedAt: now }
+  return completeParent && isDone && !wasDone ? setTaskCompleted(next, true, now) : next
+}
+
+/** Completing a task stamps `completedAt`; reopening it clears that and any archiving. */
+export const setTaskCompleted = (task, completed, now = Date.now()) => ({
+  ...task,
+  completed,
+  completedAt: completed ? (task.completed ? task.completedAt : now) : 0,
+  archivedAt: completed ? task.archivedAt : 0,
+  updatedAt: now,
+})
+
+export const normalizeTask = (task, fallbackOrder = 0) => {
+  const safeQuadrant = VALID_QUADRANTS.has(task?.quadrant) ? task.quadrant : "UI"
+  const hasScores = Number.isFinite(task?.urgency) && Number.isFinite(task?.importance)
+  const scores = hasScores
+    ? { urgency: clampScore(task.urgency), importance: clampScore(task.importance) }
+    : QUADRANT_DEFAULT_SCORES[safeQuadrant]
+  // Fields from newer versions of the app ride along untouched.
+  return keepUnknownFields(task, {
+    id: task?.id || generateId(),
+    title: typeof task?.title === "string" ? task.title : "",
+    notes: typeof task?.notes === "string" ? task.notes : "",
+    quadrant: quadrantFromScores(scores),
+    urgency: scores.urgency,
+    importance: scores.importance,
+    completed: Boolean(task?.completed),
+    // Tasks completed before completedAt existed fall back to their last edit.
+    completedAt: task?.completed
+      ? Number.isFinite(task?.completedAt)
+        ? task.completedAt
+        : Number.isFinite(task?.updatedAt)
+          ? task.updatedAt
+          : 0
+      : 0,
+    archivedAt: task?.completed && Number.isFinite(task?.archivedAt) ? task.archivedAt : 0,
+    subtasks: normalizeSubtasks(task?.subtasks),
+    tags: normalizeTags(task?.tags),
+    assignee: normalizeAssignee(task?.assignee),
+    followUp: isValidDue(task?.followUp) ? task.followUp : "",
+    order: Number.isFinite(task?.order) ? task.order : fallbackOrder,
+    due: isValidDue(task?.due) ? task.due : "",
+    escalationDismissedFor: isValidDue(task?.escalationDismissedFor)
+      ? task.escalationDismissedFor
+      : "",
+    recurrence: normalizeRecurrence(task?.recurrence),
+    seriesId: typeof task?.seriesId === "string" ? task.seriesId : "",
+    createdAt: Number.isFinite(task?.createdAt) ? task.createdAt : 0,
+    snoozedUntil: Number.isFinite(task?.snoozedUntil) ? task.snoozedUntil : 0,
+    updatedAt: Number.isFinite(task?.updatedAt) ? task.updatedAt : 0,
+  })
+}
+
+export const normalizeTasks = (rawTasks) => {
+  if (!Array.isArray(rawTasks)) return []
+  return rawTasks.map((task, index) => normalizeTask(task, index))
+}
+
+export const compareTasks = (a, b) => {
+  if (a.quadrant !== b.quadrant) return a.quadrant.localeCompare(b.quadrant)
+  if (a.order !== b.order) return a.order - b.order
+  return a.id.localeCompare(b.id)
+}
+
+export const toSignature = (taskList, tombstoneList = []) =>
+  JSON.stringify({
+    tasks: [...taskList].map(task => normalizeTask(task)).sort(compareTasks),
+    tombstones: mergeTombstones(tombstoneList),
+  })
+
+/**
+ * Moves a task to the end of another quadrant, closing the gap it leaves in
+ * its source quadrant. `patch` is applied to the moved task.
+ */
+export const moveTaskToQuadrant = (taskList, id, quadrant, patch = {}, now = Date.now()) => {
+  const task = taskList.find(t => t.id === id)
+  if (!task || task.quadrant === quadrant) return taskList
+
+  const sourceTasks = taskList
+    .filter(t => t.quadrant === task.quadrant && t.id !== id)
+    .sort((a, b) => a.order - b.order)
+    .map((t, i) => (t.order === i ? t : { ...t, order: i, updatedAt: now }))
+
+  const movedTask = {
+    ...task,
+    ...scoresForQuadrant(task, quadrant),
+    ...patch,
+    quadrant,
+    order: taskList.filter(t => t.quadrant === quadrant).length,
+    updatedAt: now,
+  }
+
+  return [
+    ...taskList.filter(t => t.quadrant !== task.quadrant),
+    ...sourceTasks,
+    movedTask,
+  ]
+}
+
+/**
+ * Updates a task's scores, moving it to the end of another quadrant when the
+ * new scores cross a threshold.
+ */
+export const setTaskScores = (taskList, id, scores, now = Date.now()) => {
+  const task = taskList.find(t => t.id === id)
+  if (!task) return taskList
+
+  const nextScores = {
+    urgency: clampScore(scores.urgency ?? task.urgency),
+    importance: clampScore(scores.importance ?? task.importance),
+  }
+  const quadrant = quadrantFromScores(nextScores)
+
+  if (quadrant !== task.quadrant) {
+    return moveTaskToQuadrant(taskList, id, quadrant, nextScores, now)
+  }
+  return taskList.map(t =>
+    t.id === id ? { ...t, ...nextScores, updatedAt: now } : t
+  )
+}
@@ -0,0 +1,51 @@
+export const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000
+
+export const normalizeTombstones = (rawTombstones) => {
+  if (!Array.isArray(rawTombstones)) return []
+  return rawTombstones
+    .filter(entry => typeof entry?.id === "string" && entry.id)
+    .map(entry => ({
+      id: entry.id,
+      deletedAt: Number.isFinite(entry.deletedAt) ? entry.deletedAt : 0,
+    }))
+}
+
+export const mergeTombstones = (...lists) => {
+  const latest = new Map()
+  lists.flat().forEach(entry => {
+    const existing = latest.get(entry.id)
+    if (!existing || entry.deletedAt > existing.deletedAt) {
+      latest.set(entry.id, entry)
+    }
+  })
+  return [...latest.values()].sort((a, b) => a.id.localeCompare(b.id))
+}
+
+export const addTombstones = (tombstones, ids, deletedAt = Date.now()) =>
+  mergeTombstones(tombstones, ids.map(id => ({ id, deletedAt })))
+
+export const compactTombstones = (tombstones, now = Date.now()) =>
+  tombstones.filter(entry => now - entry.deletedAt < TOMBSTONE_RETENTION_MS)
+
+/**
+ * Drops every task that was deleted after its last edit. A task edited after
+ * its deletion wins instead, and its tombstone is discarded.
+ */
+export const applyTombstones = (tasks, tombstones) => {
+  const deletedAt = new Map(tombstones.map(entry => [entry.id, entry.deletedAt]))
+  const survivors = new Set()
+
+  const remaining = tasks.filter(task => {
+    if (!deletedAt.has(task.id)) return true
+    if ((task.updatedAt || 0) > deletedAt.get(task.id)) {
+      survivors.add(task.id)
+      return true
+    }
+    return false
+  })
+
+  return {
+    tasks: remaining,
+    tombstones: tombstones.filter(entry => !survivors.has(entry.id)),
+  }
+}
@@ -0,0 +1,416 @@
+import { splitDue, toDateInputValue } from "./dates.js"
+import { mergeTasks } from "./merge.js"
+import { createSyncPayload, migrateSyncPayload } from "./payload.js"
+import { QUADRANTS, compareTasks, normalizeTasks } from "./tasks.js"
+
+export const EXPORT_FORMATS = [
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json" },
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv" },
+  { id: "markdown", label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  { id: "todotxt", label: "todo.txt", extension: "txt", mimeType: "text/plain" },
+]
+
+const TODO_PRIORITIES = { UI: "A", NI: "B", UN: "C", NN: "D" }
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "quadrant",
+  "completed",
+  "urgency",
+  "importance",
+  "due",
+  "notes",
+  "subtasks",
+  "recurrence",
+  "tags",
+  "assignee",
+  "follow_up",
+]
+
+const resolveQuadrant = (value) => {
+  const needle = String(value || "").trim().toLowerCase()
+  if (!needle) return null
+  const match = QUADRANTS.find(q =>
+    [q.id, q.title, q.subtitle].some(label => label.toLowerCase() === needle)
+  )
+  return match?.id || null
+}
+
+const parseBoolean = (value) =>
+  ["true", "yes", "1", "x", "done"].includes(String(value || "").trim().toLowerCase())
+
+const parseJsonCell = (value) => {
+  try {
+    return value ? JSON.parse(value) : undefined
+  } catch {
+    return undefined
+  }
+}
+
+const sortedForExport = (tasks) => [...tasks].sort(compareTasks)
+
+// ---- Export ----
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? "" : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (tasks) => {
+  const rows = sortedForExport(tasks).map(task => [
+    task.id,
+    task.title,
+    task.quadrant,
+    task.completed,
+    task.urgency,
+    task.importance,
+    task.due,
+    task.notes,
+    task.subtasks.length ? JSON.stringify(task.subtasks) : "",
+    task.recurrence ? JSON.stringify(task.recurrence) : "",
+    task.tags.join(";"),
+    task.assignee,
+    task.followUp,
+  ])
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(",")).join("\r\n")
+}
+
+const toMarkdown = (tasks) => {
+  const lines = ["# Eisenhower Matrix"]
+
+  QUADRANTS.forEach(q => {
+    lines.push("", `## ${q.title} — ${q.subtitle}`, "")
+    const quadrantTasks = sortedForExport(tasks).filter(t => t.quadrant === q.id)
+    if (!quadrantTasks.length) lines.push("_No tasks_")
+
+    quadrantTasks.forEach(task => {
+      const due = task.due ? ` — due ${task.due}` : ""
+      lines.push(`- [${task.completed ? "x" : " "}] ${task.title}${due}`)
+      task.subtasks.forEach(subtask => {
+        lines.push(`  - [${subtask.completed ? "x" : " "}] ${subtask.title}`)
+      })
+      task.notes.split(/\r?\n/).filter(Boolean).forEach(line => lines.push(`  ${line}`))
+    })
+  })
+
+  return `${lines.join("\n")}\n`
+}
+
+const toTodoTxt = (tasks) =>
+  sortedForExport(tasks)
+    .map(task => {
+      const priority = TODO_PRIORITIES[task.quadrant]
+      const { date } = splitDue(task.due)
+      const parts = task.completed
+        ? ["x", task.title, `pri:${priority}`]
+        : [`(${priority})`, task.title]
+      task.tags.forEach(tag => parts.push(`+${tag}`))
+      if (date) parts.push(`due:${date}`)
+      return parts.join(" ")
+    })
+    .join("\n")
+
+export const exportBoard = (formatId, tasks, tombstones = [], now = Date.now()) => {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId)
+  const content = {
+    json: () => JSON.stringify(createSyncPayload(tasks, tombstones, now), null, 2),
+    csv: () => toCsv(tasks),
+    markdown: () => toMarkdown(tasks),
+    todotxt: () => toTodoTxt(tasks),
+  }[format.id]()
+
+  return {
+    content,
+    mimeType: format.mimeType,
+    filename: `eisenhower-${toDateInputValue(now)}.${format.extension}`,
+  }
+}
+
+export const downloadFile = ({ content, mimeType, filename }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// ---- Import ----
+
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()))
+}
+
+const parseJson = (text) => {
+  const rawTasks = migrateSyncPayload(JSON.parse(text)).tasks
+  if (!Array.isArray(rawTasks)) {
+    throw new Error("JSON must be an export file or an array of tasks.")
+  }
+  return { tasks: rawTasks, warnings: [] }
+}
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text)
+  const columns = (header || []).map(cell => cell.trim().toLowerCase())
+  if (!columns.includes("title")) {
+    throw new Error("CSV needs a header row with a \"title\" column.")
+  }
+
+  const warnings = []
+  const tasks = []
+  rows.forEach((cells, index) => {
+    const row = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ""]))
+    if (!row.title.trim()) {
+      warnings.push(`Row ${index + 2} has no title and was skipped.`)
+      return
+    }
+
+    const subtasks = parseJsonCell(row.subtasks)
+    tasks.push({
+      id: row.id || undefined,
+      title: row.title.trim(),
+      quadrant: resolveQuadrant(row.quadrant) || undefined,
+      completed: parseBoolean(row.completed),
+      urgency: row.urgency === "" || row.urgency === undefined ? undefined : Number(row.urgency),
+      importance:
+        row.importance === "" || row.importance === undefined ? undefined : Number(row.importance),
+      due: row.due || "",
+      notes: row.notes || "",
+      subtasks: Array.isArray(subtasks)
+        ? subtasks
+        : (row.subtasks || "")
+          .split(";")
+          .map(title => title.trim())
+          .filter(Boolean)
+          .map(title => ({ title })),
+      recurrence: parseJsonCell(row.recurrence),
+      tags: (row.tags || "").split(/[;,]/),
+      assignee: row.assignee || "",
+      followUp: row.follow_up || "",
+    })
+  })
+
+  return { tasks, warnings }
+}
+
+const CHECKLIST_LINE = /^([ \t]*)[-*]\s+\[( |x|X)\]\s+(.*)$/
+
+const parseMarkdown = (text) => {
+  const tasks = []
+  const warnings = []
+  let quadrant = null
+  let current = null
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/)
+    if (heading) {
+      const [label] = heading[1].split(/\s+[—-]\s+/)
+      quadrant = resolveQuadrant(label) || resolveQuadrant(heading[1]) || quadrant
+      current = null
+      return
+    }
+
+    const item = line.match(CHECKLIST_LINE)
+    if (item && !item[1]) {
+      const dueMatch = item[3].match(/^(.*?)\s+—\s+due\s+(\S+)$/)
+      current = {
+        title: (dueMatch ? dueMatch[1] : item[3]).trim(),
+        due: dueMatch ? dueMatch[2] : "",
+        completed: item[2].toLowerCase() === "x",
+        quadrant: quadrant || undefined,
+        subtasks: [],
+        notes: "",
+      }
+      tasks.push(current)
+      return
+    }
+
+    if (item && current) {
+      current.subtasks.push({ title: item[3].trim(), completed: item[2].toLowerCase() === "x" })
+      return
+    }
+
+    if (/^\s+\S/.test(line) && current) {
+      current.notes = current.notes
+        ? `${current.notes}\n${line.replace(/^ {2}/, "")}`
+        : line.replace(/^ {2}/, "")
+      return
+    }
+
+    if (line.trim() && !/^_No tasks_$/.test(line.trim())) {
+      warnings.push(`Line ${index + 1} is not a checklist item and was skipped.`)
+    }
+  })
+
+  return { tasks, warnings }
+}
+
+const parseTodoTxt = (text) => {
+  const priorityQuadrants = Object.fromEntries(
+    Object.entries(TODO_PRIORITIES).map(([quadrant, priority]) => [priority, quadrant])
+  )
+  const toQuadrant = (priority) => {
+    if (!priority) return undefined
+    return priorityQuadrants[priority.toUpperCase()] || "NN"
+  }
+
+  const tasks = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      let rest = line
+      const completed = /^x\s/.test(rest)
+      if (completed) rest = rest.slice(2).replace(/^\d{4}-\d{2}-\d{2}\s+/, "")
+
+      const priorityMatch = rest.match(/^\(([A-Z])\)\s+/)
+      if (priorityMatch) rest = rest.slice(priorityMatch[0].length)
+      rest = rest.replace(/^(\d{4}-\d{2}-\d{2}\s+){1,2}/, "")
+
+      const due = rest.match(/(?:^|\s)due:(\S+)/)?.[1] || ""
+      const priorityTag = rest.match(/(?:^|\s)pri:([A-Za-z])/)?.[1]
+      const tags = [...rest.matchAll(/(?:^|\s)\+(\S+)/g)].map(match => match[1])
+      const title = rest
+        .replace(/(?:^|\s)(due|pri):\S+/g, "")
+        .replace(/(?:^|\s)\+\S+/g, "")
+        .trim()
+
+      return {
+        title,
+        completed,
+        due,
+        tags,
+        quadrant: toQuadrant(priorityMatch?.[1] || priorityTag),
+      }
+    })
+    .filter(task => task.title)
+
+  return { tasks, warnings: [] }
+}
+
+export const detectImportFormat = (filename = "", text = "") => {
+  const extension = filename.split(".").pop().toLowerCase()
+  if (extension === "json") return "json"
+  if (extension === "csv") return "csv"
+  if (["md", "markdown"].includes(extension)) return "markdown"
+  if (extension === "txt") return "todotxt"
+
+  const trimmed = text.trim()
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json"
+  if (/^#|^[-*]\s+\[/m.test(trimmed)) return "markdown"
+  if (/^[^\n]*title[^\n]*,/i.test(trimmed)) return "csv"
+  return "todotxt"
+}
+
+/**
+ * Parses an import file and validates every task through `normalizeTasks`.
+ * Throws with a readable message when the file cannot be read at all.
+ */
+export const parseImport = (formatId, text, { fallbackQuadrant = "UI" } = {}) => {
+  const parser = { json: parseJson, csv: parseCsv, markdown: parseMarkdown, todotxt: parseTodoTxt }[
+    formatId
+  ]
+  const { tasks, warnings } = parser(text)
+
+  return {
+    tasks: normalizeTasks(
+      tasks.map(task => ({ ...task, quadrant: task.quadrant ?? fallbackQuadrant }))
+    ).filter(task => task.title.trim()),
+    warnings,
+  }
+}
+
+const withFreshOrder = (tasks) => {
+  const sizes = {}
+  return tasks.map(task => {
+    const order = sizes[task.quadrant] || 0
+    sizes[task.quadrant] = order + 1
+    return { ...task, order }
+  })
+}
+
+/**
+ * Combines imported tasks with the board. "replace" returns only the imported
+ * tasks plus the ids of board tasks to tombstone; "merge" keeps the board and
+ * folds in imported tasks, using the newer copy when an id already exists.
+ */
+export const applyImport = (currentTasks, importedTasks, mode, now = Date.now()) => {
+  if (mode === "replace") {
+    const importedIds = new Set(importedTasks.map(task => task.id))
+    return {
+      tasks: withFreshOrder(
+        [...importedTasks].sort(compareTasks).map(task => ({ ...task, updatedAt: now }))
+      ),
+      removedIds: currentTasks.filter(task => !importedIds.has(task.id)).map(task => task.id),
+    }
+  }
+
+  const currentById = new Map(currentTasks.map(task => [task.id, task]))
+  const merged = normalizeTasks(mergeTasks([], currentTasks, importedTasks).tasks)
+  const existing = merged
+    .filter(task => currentById.has(task.id))
+    .map(task => {
+      const current = currentById.get(task.id)
+      return JSON.stringify(current) === JSON.stringify(task) ? current : { ...task, updatedAt: now }
+    })
+  const added = merged
+    .filter(task => !currentById.has(task.id))
+    .sort(compareTasks)
+    .map(task => ({ ...task, updatedAt: now }))
+
+  const sizes = {}
+  existing.forEach(task => {
+    sizes[task.quadrant] = Math.max(sizes[task.quadrant] || 0, task.order + 1)
+  })
+
+  return {
+    tasks: [
+      ...existing,
+      ...added.map(task => {
+        const order = sizes[task.quadrant] || 0
+        sizes[task.quadrant] = order + 1
+        return { ...task, order }
+      }),
+    ],
+    removedIds: [],
+  }
+}
@@ -0,0 +1,66 @@
+// Service worker template. The build injects __PRECACHE_URLS and
+// __CACHE_VERSION (see vite.config.js) and emits the result as sw.js.
+const PRECACHE_URLS = self.__PRECACHE_URLS || []
+const CACHE_NAME = `eisenhower-shell-${self.__CACHE_VERSION || "dev"}`
+const INDEX_URL = new URL("index.html", self.registration.scope).href
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys
+            .filter(key => key.startsWith("eisenhower-shell-") && key !== CACHE_NAME)
+            .map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener("fetch", event => {
+  const { request } = event
+  if (request.method !== "GET") return
+
+  const url = new URL(request.url)
+  if (url.origin !== self.location.origin) return
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone()
+            caches.open(CACHE_NAME).then(cache => cache.put(INDEX_URL, copy))
+          }
+          return response
+        })
+        .catch(() => caches.match(INDEX_URL))
+    )
+    return
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      cached =>
+        cached ||
+        fetch(request).then(response => {
+          if (response.ok && response.type === "basic") {
+            const copy = response.clone()
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy))
+          }
+          return response
+        })
+    )
+  )
+})
@@ -1,7 +1,51 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const listFiles = (dir) => {
+  try {
+    return readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+      entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)],
+    )
+  } catch {
+    return []
+  }
+}
+
+// Emits sw.js at build time with the app shell (every bundle and public
+// file) as its precache list, versioned by a hash of those file names.
+function serviceWorker() {
+  let config
+  return {
+    name: 'eisenhower-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_options, bundle) {
+      const files = [
+        ...Object.keys(bundle).filter((name) => !name.endsWith('.map')),
+        ...listFiles(config.publicDir).map((file) => relative(config.publicDir, file)),
+      ]
+      const urls = ['./', ...files.map((name) => `./${name}`)]
+      const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+      const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source:
+          `self.__PRECACHE_URLS = ${JSON.stringify(urls)}\n` +
+          `self.__CACHE_VERSION = ${JSON.stringify(version)}\n` +
+          template,
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })